@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Render throughput benchmark
+ *
+ * Drives a bar with many tiny increments into an interactive (fake) terminal,
+ * once drawing every update as before the render loop existed and once
+ * through the shared RenderScheduler. Usage: node bench.render.mjs [updates]
+ */
+
+import { EventEmitter } from "events";
+import { performance } from "perf_hooks";
+import {
+  ProgressBar,
+  ConsoleProgressRenderer,
+  RenderScheduler,
+  Terminal,
+} from "./main.mjs";
+
+const updates = Number(process.argv[2]) || 200000;
+
+// A TTY-like sink that only counts what would have reached the screen
+function createTerminal() {
+  const stream = new EventEmitter();
+  stream.isTTY = true;
+  stream.columns = 100;
+  stream.bytes = 0;
+  stream.write = (chunk) => {
+    stream.bytes += chunk.length;
+    return true;
+  };
+  return new Terminal(stream, { interactive: true });
+}
+
+async function run(label, scheduler) {
+  const terminal = createTerminal();
+  const renderer = new ConsoleProgressRenderer({ stream: terminal });
+  const render = renderer.render.bind(renderer);
+  let frames = 0;
+  renderer.render = (progressData) => {
+    frames++;
+    render(progressData);
+  };
+
+  const bar = new ProgressBar(updates, label, renderer, { scheduler });
+  const startTime = performance.now();
+
+  // Yield now and then so frames can run, as a real workload would
+  for (let i = 0; i < updates; i++) {
+    bar.update(1);
+    if (i % 1000 === 0) await new Promise(setImmediate);
+  }
+
+  const seconds = (performance.now() - startTime) / 1000;
+  return {
+    mode: label,
+    "updates/s": Math.round(updates / seconds),
+    "time (s)": Number(seconds.toFixed(2)),
+    frames,
+    "KiB written": Math.round(terminal.stream.bytes / 1024),
+  };
+}
+
+// fps: Infinity leaves no time between frames, so every update draws
+const results = [
+  await run("every update", new RenderScheduler({ fps: Infinity })),
+  await run("render loop (20 fps)", new RenderScheduler({ fps: 20 })),
+];
+
+console.log(`${updates} updates of 1 item`);
+console.table(results);
+
+const [before, after] = results;
+console.log(
+  `Speed-up: ${(after["updates/s"] / before["updates/s"]).toFixed(1)}x`
+);
@@ -6,62 +6,295 @@
  * Addresses floating-point precision, lifecycle management, and architectural concerns
  */
 
+import fs from "fs";
 import process from "process";
 import { performance } from "perf_hooks";
+import { Transform } from "stream";
+import { format as formatMessage } from "util";
 
 // ===== CORE INTERFACES =====
 class IProgressRenderer {
   render(progressData) {
     throw new Error("render() must be implemented by subclass");
   }
+  // Writes a RunReport ("table" or "json") where this renderer's output goes
+  renderReport(report, format = "table") {
+    report.print({ format, stream: this.terminal });
+  }
   cleanup() {}
 }
 
 class IProgressCalculator {
-  calculate(current, total, startTime, lastUpdate) {
+  // `timing.pausedTime` is the total time (ms) spent paused since startTime
+  calculate(current, total, startTime, lastUpdate, timing = {}) {
     throw new Error("calculate() must be implemented by subclass");
   }
+  reset() {}
+}
+
+// ===== STATE MACHINE =====
+const ProgressState = Object.freeze({
+  IDLE: "idle",
+  ACTIVE: "active",
+  PAUSED: "paused",
+  STOPPED: "stopped",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+});
+
+// Allowed transitions; only reset() may leave a final state
+const STATE_TRANSITIONS = Object.freeze({
+  [ProgressState.IDLE]: [
+    ProgressState.ACTIVE,
+    ProgressState.COMPLETED,
+    ProgressState.FAILED,
+    ProgressState.CANCELLED,
+  ],
+  [ProgressState.ACTIVE]: [
+    ProgressState.PAUSED,
+    ProgressState.STOPPED,
+    ProgressState.COMPLETED,
+    ProgressState.FAILED,
+    ProgressState.CANCELLED,
+  ],
+  [ProgressState.PAUSED]: [
+    ProgressState.ACTIVE,
+    ProgressState.STOPPED,
+    ProgressState.COMPLETED,
+    ProgressState.FAILED,
+    ProgressState.CANCELLED,
+  ],
+  [ProgressState.STOPPED]: [
+    ProgressState.ACTIVE,
+    ProgressState.COMPLETED,
+    ProgressState.FAILED,
+    ProgressState.CANCELLED,
+  ],
+  [ProgressState.COMPLETED]: [],
+  [ProgressState.FAILED]: [],
+  [ProgressState.CANCELLED]: [],
+});
+
+const FINAL_STATES = new Set([
+  ProgressState.COMPLETED,
+  ProgressState.FAILED,
+  ProgressState.CANCELLED,
+]);
+
+class StateTransitionError extends Error {
+  constructor(from, to) {
+    super(`Invalid progress state transition: ${from} -> ${to}`);
+    this.name = "StateTransitionError";
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// Rejection of a helper whose run was aborted; `cause` keeps the original
+// abort reason. Set by hand, Error only takes options from Node 16.9
+class AbortError extends Error {
+  constructor(message = "Aborted", options = {}) {
+    super(message);
+    this.name = "AbortError";
+    if ("cause" in options) this.cause = options.cause;
+  }
+
+  static from(reason) {
+    if (reason instanceof AbortError) return reason;
+    const message =
+      reason instanceof Error ? reason.message : String(reason ?? "Aborted");
+    return new AbortError(message, { cause: reason });
+  }
+}
+
+class TimeoutError extends AbortError {
+  constructor(timeout) {
+    super(`Timed out after ${timeout}ms`);
+    this.name = "TimeoutError";
+    this.timeout = timeout;
+  }
 }
 
 // ===== UTILITIES =====
-class TerminalUtils {
-  static get isInteractive() {
-    return process.stdout.isTTY && process.env.CI !== "true";
+// Set by the common CI services; their logs are not terminals even when a pty
+// is attached
+const CI_ENV_VARS = [
+  "CI",
+  "CONTINUOUS_INTEGRATION",
+  "GITHUB_ACTIONS",
+  "GITLAB_CI",
+  "CIRCLECI",
+  "TRAVIS",
+  "JENKINS_URL",
+  "BUILDKITE",
+  "DRONE",
+  "TEAMCITY_VERSION",
+  "TF_BUILD",
+  "APPVEYOR",
+  "BITBUCKET_BUILD_NUMBER",
+  "CODEBUILD_BUILD_ID",
+  "SEMAPHORE",
+];
+
+// Original write functions of streams taken over by an OutputInterceptor.
+// Terminal writes go straight to them so progress output is never captured.
+const interceptedWrites = new Map();
+// Interceptors active on each stream, in start order. A stream has a single
+// wrapper that hands writes to the latest one; the original write is put
+// back when the last one stops, whatever the order they stop in.
+const streamInterceptors = new Map();
+
+// Terminal capabilities and cursor control for one output stream. Renderers
+// hold their own Terminal so progress can go to stderr, a file or a fake
+// stream in tests.
+class Terminal {
+  constructor(stream = Terminal.defaultStream(), options = {}) {
+    this.stream = stream;
+    this.options = options; // { interactive, colorDepth } override detection
   }
 
-  static get columns() {
-    return process.stdout.columns || 80;
+  // CI=false/0 opts out explicitly; otherwise any known CI variable counts
+  static isCI(env = process.env) {
+    if (env.CI === "false" || env.CI === "0") return false;
+    return CI_ENV_VARS.some((name) => env[name] && env[name] !== "false");
   }
 
-  static get supportsColor() {
-    return process.stdout.isTTY && process.env.FORCE_COLOR !== "0";
+  // CLI tools that pipe data on stdout keep it clean by drawing on stderr
+  static defaultStream() {
+    if (!process.stdout.isTTY && process.stderr.isTTY) {
+      return process.stderr;
+    }
+    return process.stdout;
   }
 
-  static moveCursor(dx, dy) {
+  static from(streamOrTerminal) {
+    if (streamOrTerminal instanceof Terminal) return streamOrTerminal;
+    return new Terminal(streamOrTerminal || undefined);
+  }
+
+  get isTTY() {
+    return Boolean(this.stream.isTTY);
+  }
+
+  get isInteractive() {
+    return this.options.interactive ?? (this.isTTY && !Terminal.isCI());
+  }
+
+  get columns() {
+    return this.stream.columns || 80;
+  }
+
+  // 0 none, 1 basic, 2 256 colors, 3 truecolor. FORCE_COLOR wins over
+  // NO_COLOR, TERM=dumb and a non-TTY stream.
+  get colorDepth() {
+    if (this.options.colorDepth !== undefined) return this.options.colorDepth;
+
+    const env = process.env;
+    if (env.FORCE_COLOR !== undefined) {
+      if (env.FORCE_COLOR === "0" || env.FORCE_COLOR === "false") return 0;
+      const level = Number(env.FORCE_COLOR);
+      return level >= 1 && level <= 3 ? level : 1;
+    }
+    if (env.NO_COLOR) return 0;
+    if (!this.isTTY || env.TERM === "dumb") return 0;
+    if (/^(truecolor|24bit)$/i.test(env.COLORTERM || "")) return 3;
+    if (/256/.test(env.TERM || "")) return 2;
+    return 1;
+  }
+
+  get supportsColor() {
+    return this.colorDepth > 0;
+  }
+
+  write(text) {
+    const write = interceptedWrites.get(this.stream) || this.stream.write;
+    write.call(this.stream, text);
+  }
+
+  writeLine(text = "") {
+    this.write(text + "\n");
+  }
+
+  // Returns an unsubscribe function; streams without events never resize
+  onResize(listener) {
+    if (typeof this.stream.on !== "function") return () => {};
+    this.stream.on("resize", listener);
+    return () => this.stream.off("resize", listener);
+  }
+
+  moveCursor(dx, dy) {
     if (this.isInteractive) {
-      process.stdout.write(`\x1b[${dy}A\x1b[${dx}G`);
+      // Positive dy moves up, negative dy moves down; dx is the target column
+      let sequence = "";
+      if (dy > 0) sequence += `\x1b[${dy}A`;
+      if (dy < 0) sequence += `\x1b[${-dy}B`;
+      this.write(`${sequence}\x1b[${dx}G`);
     }
   }
 
-  static clearLine() {
+  clearLine() {
     if (this.isInteractive) {
-      process.stdout.write("\x1b[2K\r");
+      this.write("\x1b[2K\r");
     }
   }
 
-  static hideCursor() {
+  hideCursor() {
     if (this.isInteractive) {
-      process.stdout.write("\x1b[?25l");
+      this.write("\x1b[?25l");
     }
   }
 
-  static showCursor() {
+  showCursor() {
     if (this.isInteractive) {
-      process.stdout.write("\x1b[?25h");
+      this.write("\x1b[?25h");
     }
   }
 }
 
+// Static shortcuts for the default output stream
+class TerminalUtils {
+  static get terminal() {
+    return new Terminal();
+  }
+
+  static get isInteractive() {
+    return this.terminal.isInteractive;
+  }
+
+  static get isCI() {
+    return Terminal.isCI();
+  }
+
+  static get columns() {
+    return this.terminal.columns;
+  }
+
+  static get supportsColor() {
+    return this.terminal.supportsColor;
+  }
+
+  static get colorDepth() {
+    return this.terminal.colorDepth;
+  }
+
+  static moveCursor(dx, dy) {
+    this.terminal.moveCursor(dx, dy);
+  }
+
+  static clearLine() {
+    this.terminal.clearLine();
+  }
+
+  static hideCursor() {
+    this.terminal.hideCursor();
+  }
+
+  static showCursor() {
+    this.terminal.showCursor();
+  }
+}
+
 class Colors {
   static get codes() {
     return {
@@ -75,12 +308,83 @@ class Colors {
       magenta: "\x1b[35m",
       cyan: "\x1b[36m",
       white: "\x1b[37m",
+      gray: "\x1b[90m",
+      brightRed: "\x1b[91m",
+      brightGreen: "\x1b[92m",
+      brightYellow: "\x1b[93m",
+      brightBlue: "\x1b[94m",
+      brightMagenta: "\x1b[95m",
+      brightCyan: "\x1b[96m",
+      brightWhite: "\x1b[97m",
     };
   }
 
-  static colorize(text, color) {
-    if (!TerminalUtils.supportsColor) return text;
-    return `${this.codes[color] || ""}${text}${this.codes.reset}`;
+  // `color` is a name from codes, a "#rrggbb" string or an [r, g, b] array.
+  // `level` is the color depth (0 none, 1 basic, 2 256 colors, 3 truecolor);
+  // rich colors are downgraded to the closest color the level supports.
+  static colorize(text, color, level = TerminalUtils.colorDepth) {
+    if (!level || !color) return text;
+
+    const open = this.openCode(color, level);
+    return open ? `${open}${text}${this.codes.reset}` : text;
+  }
+
+  static openCode(color, level) {
+    if (typeof color === "string" && !color.startsWith("#")) {
+      return this.codes[color] || "";
+    }
+
+    const rgb = this.toRgb(color);
+    if (!rgb) return "";
+    if (level >= 3) return `\x1b[38;2;${rgb.join(";")}m`;
+    if (level === 2) return `\x1b[38;5;${this.rgbToAnsi256(...rgb)}m`;
+    return `\x1b[${this.rgbToAnsi16(...rgb)}m`;
+  }
+
+  static toRgb(color) {
+    if (Array.isArray(color)) return color;
+
+    const match = /^#([0-9a-f]{6})$/i.exec(color);
+    if (!match) return null;
+    const value = parseInt(match[1], 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  }
+
+  // Nearest entry of the 6x6x6 color cube or the 24-step gray ramp
+  static rgbToAnsi256(r, g, b) {
+    if (r === g && g === b) {
+      if (r < 8) return 16;
+      if (r > 248) return 231;
+      return Math.round(((r - 8) / 247) * 24) + 232;
+    }
+    const toCube = (channel) => Math.round((channel / 255) * 5);
+    return 16 + 36 * toCube(r) + 6 * toCube(g) + toCube(b);
+  }
+
+  static rgbToAnsi16(r, g, b) {
+    const brightness = Math.round((Math.max(r, g, b) / 255) * 2);
+    if (brightness === 0) return 30;
+
+    const code =
+      30 +
+      ((Math.round(b / 255) << 2) |
+        (Math.round(g / 255) << 1) |
+        Math.round(r / 255));
+    return brightness === 2 ? code + 60 : code;
+  }
+
+  // Color `fraction` (0-1) of the way along evenly spaced gradient stops
+  static interpolate(stops, fraction) {
+    const colors = stops.map((stop) => this.toRgb(stop));
+    if (colors.length === 1) return colors[0];
+
+    const position = Math.max(0, Math.min(1, fraction)) * (colors.length - 1);
+    const index = Math.min(Math.floor(position), colors.length - 2);
+    const from = colors[index];
+    const to = colors[index + 1];
+    return from.map((channel, i) =>
+      Math.round(channel + (to[i] - channel) * (position - index))
+    );
   }
 
   static success(text) {
@@ -100,6 +404,100 @@ class Colors {
   }
 }
 
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+// Code point ranges (inclusive) taking no column: combining marks, zero-width
+// spaces/joiners and variation selectors
+const ZERO_WIDTH_RANGES = [
+  [0x0300, 0x036f],
+  [0x0483, 0x0489],
+  [0x0591, 0x05bd],
+  [0x0610, 0x061a],
+  [0x064b, 0x065f],
+  [0x200b, 0x200f],
+  [0x20d0, 0x20ff],
+  [0xfe00, 0xfe0f],
+  [0xfe20, 0xfe2f],
+  [0xe0100, 0xe01ef],
+];
+
+// Ranges taking two columns: CJK, Hangul, fullwidth forms and emoji
+const WIDE_RANGES = [
+  [0x1100, 0x115f],
+  [0x2e80, 0x303e],
+  [0x3041, 0x33ff],
+  [0x3400, 0x4dbf],
+  [0x4e00, 0x9fff],
+  [0xa000, 0xa4cf],
+  [0xac00, 0xd7a3],
+  [0xf900, 0xfaff],
+  [0xfe30, 0xfe4f],
+  [0xff00, 0xff60],
+  [0xffe0, 0xffe6],
+  [0x1f300, 0x1f64f],
+  [0x1f680, 0x1f6ff],
+  [0x1f900, 0x1f9ff],
+  [0x1fa70, 0x1faff],
+  [0x20000, 0x3fffd],
+];
+
+const inRanges = (codePoint, ranges) =>
+  ranges.some(([from, to]) => codePoint >= from && codePoint <= to);
+
+// Measures text the way a terminal displays it
+class TextUtils {
+  static stripAnsi(text) {
+    return String(text).replace(ANSI_PATTERN, "");
+  }
+
+  static charWidth(codePoint) {
+    if (codePoint < 0x20 || (codePoint >= 0x7f && codePoint < 0xa0)) return 0;
+    if (inRanges(codePoint, ZERO_WIDTH_RANGES)) return 0;
+    if (inRanges(codePoint, WIDE_RANGES)) return 2;
+    return 1;
+  }
+
+  static visibleWidth(text) {
+    let width = 0;
+    for (const char of this.stripAnsi(text)) {
+      width += this.charWidth(char.codePointAt(0));
+    }
+    return width;
+  }
+
+  // Cuts text to `width` columns, ending with the ellipsis when shortened.
+  // Color codes are kept, with a reset added if the cut falls inside one.
+  static truncate(text, width, ellipsis = "…") {
+    const source = String(text);
+    if (this.visibleWidth(source) <= width) return source;
+
+    const limit = width - this.visibleWidth(ellipsis);
+    if (limit < 0) return "";
+
+    let result = "";
+    let used = 0;
+    let styled = false;
+    // Odd indexes hold the escape sequences captured by split()
+    const parts = source.split(/(\x1b\[[0-9;?]*[A-Za-z])/);
+    for (let i = 0; i < parts.length; i++) {
+      if (i % 2 === 1) {
+        result += parts[i];
+        styled = true;
+        continue;
+      }
+      for (const char of parts[i]) {
+        const charWidth = this.charWidth(char.codePointAt(0));
+        if (used + charWidth > limit) {
+          return result + ellipsis + (styled ? Colors.codes.reset : "");
+        }
+        result += char;
+        used += charWidth;
+      }
+    }
+    return result + ellipsis;
+  }
+}
+
 // ===== ENHANCED PROGRESS CALCULATOR =====
 class StandardProgressCalculator extends IProgressCalculator {
   constructor() {
@@ -108,16 +506,21 @@ class StandardProgressCalculator extends IProgressCalculator {
     this.maxHistorySize = 10;
   }
 
-  calculate(current, total, startTime, lastUpdate) {
+  calculate(current, total, startTime, lastUpdate, timing = {}) {
     const now = performance.now();
-    const elapsed = (now - startTime) / 1000;
+    const elapsed =
+      Math.max(0, now - startTime - (timing.pausedTime || 0)) / 1000;
 
     // Fix floating-point precision issue
     const percentage =
       total > 0 ? Math.round((current / total) * 100 * 100) / 100 : 0;
 
-    // Calculate speed with moving average
-    const speed = this.calculateSpeed(current, elapsed);
+    // Calculate speed with moving average, measured from the baseline: the
+    // value restored from a checkpoint or rolled back to, and the time then
+    const speed = this.calculateSpeed(
+      current - (timing.baseline || 0),
+      elapsed - (timing.baselineTime || 0)
+    );
 
     // Calculate ETA
     let eta = 0;
@@ -132,13 +535,14 @@ class StandardProgressCalculator extends IProgressCalculator {
       elapsed,
       eta,
       speed,
-      isComplete: current >= total,
+      isComplete: total > 0 && current >= total,
       isIndeterminate: total <= 0,
     };
   }
 
   calculateSpeed(current, elapsed) {
-    if (elapsed <= 0) return 0;
+    // Nothing done since the baseline yet, which is no rate worth averaging
+    if (elapsed <= 0 || current <= 0) return 0;
 
     const currentSpeed = current / elapsed;
 
@@ -153,6 +557,160 @@ class StandardProgressCalculator extends IProgressCalculator {
       this.speedHistory.reduce((a, b) => a + b, 0) / this.speedHistory.length
     );
   }
+
+  reset() {
+    this.speedHistory = [];
+  }
+}
+
+// ===== ETA ESTIMATORS =====
+// Each estimator only replaces calculateSpeed(); percentage and ETA are
+// derived from the returned rate by StandardProgressCalculator.calculate()
+
+// Rate over the samples seen in the last `window` seconds
+class SlidingWindowCalculator extends StandardProgressCalculator {
+  constructor({ window = 10, maxSamples = 1000 } = {}) {
+    super();
+    this.window = window;
+    this.maxSamples = maxSamples;
+    this.samples = [];
+  }
+
+  calculateSpeed(current, elapsed) {
+    if (elapsed <= 0) return 0;
+
+    this.samples.push({ elapsed, current });
+
+    // Keep one sample older than the window as the anchor for the rate
+    while (
+      this.samples.length > 2 &&
+      (this.samples[1].elapsed <= elapsed - this.window ||
+        this.samples.length > this.maxSamples)
+    ) {
+      this.samples.shift();
+    }
+
+    const first = this.samples[0];
+    const duration = elapsed - first.elapsed;
+    if (duration <= 0) return current / elapsed;
+
+    return Math.max(0, (current - first.current) / duration);
+  }
+
+  reset() {
+    this.samples = [];
+  }
+}
+
+// Exponentially weighted moving average of the instantaneous rate; a sample
+// loses half its weight every `halfLife` seconds
+class EwmaCalculator extends StandardProgressCalculator {
+  constructor({ halfLife = 5 } = {}) {
+    super();
+    this.halfLife = halfLife;
+    this.rate = null;
+    this.lastSample = null;
+  }
+
+  calculateSpeed(current, elapsed) {
+    if (elapsed <= 0) return 0;
+
+    if (!this.lastSample) {
+      this.lastSample = { elapsed, current };
+      return current / elapsed;
+    }
+
+    const duration = elapsed - this.lastSample.elapsed;
+    if (duration <= 0) return Math.max(0, this.rate ?? current / elapsed);
+
+    const instantRate = (current - this.lastSample.current) / duration;
+    const alpha = 1 - Math.pow(0.5, duration / this.halfLife);
+    this.rate =
+      this.rate === null
+        ? instantRate
+        : this.rate + alpha * (instantRate - this.rate);
+    this.lastSample = { elapsed, current };
+
+    return Math.max(0, this.rate);
+  }
+
+  reset() {
+    this.rate = null;
+    this.lastSample = null;
+  }
+}
+
+// Least-squares slope of progress over time across the most recent samples
+class LinearRegressionCalculator extends StandardProgressCalculator {
+  constructor({ maxSamples = 100 } = {}) {
+    super();
+    this.maxSamples = maxSamples;
+    this.samples = [];
+  }
+
+  calculateSpeed(current, elapsed) {
+    if (elapsed <= 0) return 0;
+
+    this.samples.push({ elapsed, current });
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+
+    const count = this.samples.length;
+    if (count < 2) return current / elapsed;
+
+    const meanTime = this.samples.reduce((a, s) => a + s.elapsed, 0) / count;
+    const meanValue = this.samples.reduce((a, s) => a + s.current, 0) / count;
+
+    let covariance = 0;
+    let variance = 0;
+    this.samples.forEach((sample) => {
+      covariance += (sample.elapsed - meanTime) * (sample.current - meanValue);
+      variance += (sample.elapsed - meanTime) ** 2;
+    });
+
+    if (variance === 0) return current / elapsed;
+    return Math.max(0, covariance / variance);
+  }
+
+  reset() {
+    this.samples = [];
+  }
+}
+
+class ProgressEstimators {
+  static get presets() {
+    return {
+      standard: StandardProgressCalculator,
+      window: SlidingWindowCalculator,
+      ewma: EwmaCalculator,
+      regression: LinearRegressionCalculator,
+    };
+  }
+
+  // Calculators keep per-run samples, so every call builds a new one: from a
+  // preset name, a calculator class, or a factory function
+  static create(estimator = "standard", options = {}) {
+    if (estimator instanceof IProgressCalculator) {
+      throw new Error(
+        "Calculator instances cannot be shared between bars, pass a preset name or a factory function"
+      );
+    }
+    if (estimator?.prototype instanceof IProgressCalculator) {
+      return new estimator(options);
+    }
+    if (typeof estimator === "function") return estimator(options);
+
+    const Calculator = this.presets[estimator];
+    if (!Calculator) {
+      throw new Error(
+        `Unknown estimator "${estimator}". Available: ${Object.keys(
+          this.presets
+        ).join(", ")}`
+      );
+    }
+    return new Calculator(options);
+  }
 }
 
 // ===== ENHANCED PROGRESS TRACKER WITH STATE MANAGEMENT =====
@@ -164,9 +722,116 @@ class ProgressTracker {
     this.startTime = performance.now();
     this.lastUpdateTime = this.startTime;
     this.calculator = calculator || new StandardProgressCalculator();
+    this.estimator = null; // { name, options } the calculator was built from
     this.observers = new Set();
-    this.state = "idle";
+    this.state = ProgressState.IDLE;
     this.stateObservers = new Set();
+    this.error = null;
+    this.reason = null;
+    this.pausedAt = null;
+    this.pausedDuration = 0;
+    this.payload = {};
+    this.parent = null;
+    this.weight = 1;
+    this.children = [];
+    this.completedTasks = new Set();
+    this.elapsedOffset = 0; // Seconds spent before a resume
+    this.baseline = 0; // Progress restored from a checkpoint or rolled back to
+    this.baselineTime = 0; // Active seconds into the run at the baseline
+  }
+
+  // Sub-tasks such as download/extract/verify phases. Once a tracker has
+  // children its current value is derived from their weighted progress, so
+  // it should not be incremented directly.
+  createChild(weight = 1, total = 100, description = this.description) {
+    const child = new ProgressTracker(
+      total,
+      description,
+      this.createCalculator()
+    );
+    child.estimator = this.estimator;
+    child.parent = this;
+    child.weight = weight;
+    this.children.push(child);
+
+    child.addObserver(() => this.syncFromChildren());
+    child.addStateObserver(({ newState }) =>
+      this.handleChildState(child, newState)
+    );
+    return child;
+  }
+
+  // A calculator of the parent's kind for a child. Without the estimator it
+  // was built from, only the class is known and options are the defaults.
+  createCalculator() {
+    if (this.estimator) {
+      return ProgressEstimators.create(
+        this.estimator.name,
+        this.estimator.options
+      );
+    }
+    return this.calculator instanceof IProgressCalculator
+      ? new this.calculator.constructor()
+      : new StandardProgressCalculator();
+  }
+
+  getChildFraction(child) {
+    if (child.state === ProgressState.COMPLETED) return 1;
+    return child.total > 0 ? child.current / child.total : 0;
+  }
+
+  syncFromChildren() {
+    if (this.children.length === 0 || this.isFinished()) return;
+
+    if (this.children.every((child) => child.isCompleted())) {
+      this.complete();
+      return;
+    }
+
+    const totalWeight = this.children.reduce((sum, c) => sum + c.weight, 0);
+    const weighted = this.children.reduce(
+      (sum, child) => sum + child.weight * this.getChildFraction(child),
+      0
+    );
+    const fraction = totalWeight > 0 ? weighted / totalWeight : 0;
+    // Rounded so counters don't show float noise; stays below the total
+    // until every child has completed
+    const value = Math.round(fraction * this.total * 100) / 100;
+    this.setCurrent(Math.min(value, Math.max(0, this.total - 0.01)));
+  }
+
+  handleChildState(child, newState) {
+    if (this.isFinished()) return;
+
+    if (newState === ProgressState.FAILED) {
+      this.fail(child.error);
+    } else if (newState === ProgressState.CANCELLED) {
+      // The parent can never reach its total without the cancelled child
+      this.cancel(child.reason);
+    } else if (newState === ProgressState.COMPLETED) {
+      this.syncFromChildren();
+    } else if (
+      newState === ProgressState.ACTIVE &&
+      this.state === ProgressState.IDLE
+    ) {
+      this.setState(ProgressState.ACTIVE);
+    }
+  }
+
+  // The unfinished child updated most recently, shown beneath the parent
+  getActiveChild() {
+    let active = null;
+    for (const child of this.children) {
+      if (child.isFinished()) continue;
+      const started = child.state !== ProgressState.IDLE || child.current > 0;
+      if (
+        started &&
+        (!active || child.lastUpdateTime >= active.lastUpdateTime)
+      ) {
+        active = child;
+      }
+    }
+    return active;
   }
 
   addObserver(observer) {
@@ -215,32 +880,78 @@ class ProgressTracker {
     });
   }
 
+  canTransitionTo(newState) {
+    return STATE_TRANSITIONS[this.state]?.includes(newState) ?? false;
+  }
+
+  assertTransition(newState) {
+    if (!this.canTransitionTo(newState)) {
+      throw new StateTransitionError(this.state, newState);
+    }
+  }
+
   setState(newState) {
+    if (this.state === newState) return;
+
+    this.assertTransition(newState);
+    this.applyState(newState);
+  }
+
+  applyState(newState) {
     const oldState = this.state;
-    if (oldState !== newState) {
-      this.state = newState;
-      this.notifyStateChange(newState, oldState);
+    const now = performance.now();
+
+    // Keep paused time out of elapsed/ETA calculations
+    if (oldState === ProgressState.PAUSED) {
+      this.pausedDuration += now - this.pausedAt;
+      this.pausedAt = null;
+    }
+    if (newState === ProgressState.PAUSED) {
+      this.pausedAt = now;
     }
+
+    this.state = newState;
+    this.notifyStateChange(newState, oldState);
   }
 
   getState() {
     return this.state;
   }
 
-  increment(amount = 1) {
-    if (this.state === "completed") return this.getProgress();
+  getPausedTime() {
+    const ongoing =
+      this.pausedAt !== null ? performance.now() - this.pausedAt : 0;
+    return this.pausedDuration + ongoing;
+  }
 
-    const previousCurrent = this.current;
-    this.current = Math.min(this.total, this.current + amount);
-    this.lastUpdateTime = performance.now();
+  increment(amount = 1, payload = null) {
+    return this.setCurrent(this.current + amount, payload);
+  }
 
-    const progress = this.getProgress();
+  // Absolute progress, e.g. bytes reported by a stream. Values are clamped to
+  // [0, total]; moving backwards (a retry) restarts the speed estimate.
+  setCurrent(value, payload = null) {
+    if (this.isFinished()) return this.getProgress();
+
+    if (payload) this.setPayload(payload);
+
+    const upperBound = this.total > 0 ? this.total : Infinity;
+    const next = Math.max(0, Math.min(upperBound, value));
+    if (next < this.current) {
+      this.calculator.reset?.();
+      this.baseline = next;
+      this.baselineTime =
+        (performance.now() - this.startTime - this.getPausedTime()) / 1000;
+    }
+    this.current = next;
+    this.lastUpdateTime = performance.now();
 
     // State transition detection
-    if (progress.isComplete && this.state !== "completed") {
-      this.setState("completed");
+    if (this.total > 0 && this.current >= this.total) {
+      this.setState(ProgressState.COMPLETED);
     }
 
+    const progress = this.getProgress();
     this.notifyObservers(progress);
     return progress;
   }
@@ -250,51 +961,227 @@ class ProgressTracker {
       this.current,
       this.total,
       this.startTime,
-      this.lastUpdateTime
+      this.lastUpdateTime,
+      {
+        pausedTime: this.getPausedTime(),
+        baseline: this.baseline,
+        baselineTime: this.baselineTime,
+      }
     );
 
+    const isComplete =
+      calculatedData.isComplete || this.state === ProgressState.COMPLETED;
+    const isFinished = isComplete || FINAL_STATES.has(this.state);
+    const activeChild = isFinished ? null : this.getActiveChild();
+
     return {
       ...calculatedData,
+      elapsed: calculatedData.elapsed + this.elapsedOffset,
+      isComplete,
+      isFinished,
+      description: this.description,
+      state: this.state,
+      error: this.error,
+      reason: this.reason,
+      payload: { ...this.payload },
+      activeChild: activeChild ? activeChild.getProgress() : null,
+    };
+  }
+
+  // Merges caller-supplied fields (current file, error count...) into the
+  // payload carried by every subsequent progress update
+  setPayload(payload) {
+    this.payload = { ...this.payload, ...payload };
+    return this;
+  }
+
+  setDescription(description) {
+    this.description = description;
+    return this;
+  }
+
+  // Records a unit of work by id (a file name, a row key...); returns false
+  // when it was already done, e.g. before the job was interrupted
+  markTaskDone(taskId) {
+    if (this.completedTasks.has(taskId)) return false;
+    this.completedTasks.add(taskId);
+    return true;
+  }
+
+  isTaskDone(taskId) {
+    return this.completedTasks.has(taskId);
+  }
+
+  // Active seconds so far, including time spent before a resume
+  getElapsed() {
+    const now = performance.now();
+    const elapsed = Math.max(0, now - this.startTime - this.getPausedTime());
+    return elapsed / 1000 + this.elapsedOffset;
+  }
+
+  toCheckpoint() {
+    return {
       description: this.description,
+      total: this.total,
+      current: this.current,
+      elapsed: this.getElapsed(),
       state: this.state,
+      payload: { ...this.payload },
+      completed: [...this.completedTasks],
     };
   }
 
+  // Picks up from a saved checkpoint. Elapsed time carries on from the saved
+  // value while the speed estimate starts over, so the ETA reflects
+  // throughput since the resume only.
+  restore(checkpoint) {
+    this.total = checkpoint.total;
+    this.current = checkpoint.current;
+    this.description = checkpoint.description ?? this.description;
+    this.payload = { ...checkpoint.payload };
+    this.completedTasks = new Set(checkpoint.completed);
+    this.elapsedOffset = checkpoint.elapsed;
+    this.baseline = checkpoint.current;
+    this.baselineTime = 0;
+    this.startTime = performance.now();
+    this.lastUpdateTime = this.startTime;
+    this.pausedAt = null;
+    this.pausedDuration = 0;
+    this.calculator.reset?.();
+    return this;
+  }
+
   reset() {
     this.current = 0;
     this.startTime = performance.now();
     this.lastUpdateTime = this.startTime;
-    this.setState("idle");
-    if (this.calculator.speedHistory) {
-      this.calculator.speedHistory = [];
+    this.error = null;
+    this.reason = null;
+    this.pausedAt = null;
+    this.pausedDuration = 0;
+    this.payload = {};
+    this.completedTasks = new Set();
+    this.elapsedOffset = 0;
+    this.baseline = 0;
+    this.baselineTime = 0;
+    this.children.forEach((child) => child.reset());
+    if (this.state !== ProgressState.IDLE) {
+      this.applyState(ProgressState.IDLE);
     }
+    this.calculator.reset?.();
   }
 
   complete() {
-    if (this.state === "completed") {
+    if (this.state === ProgressState.COMPLETED) {
       return this.getProgress();
     }
 
+    this.assertTransition(ProgressState.COMPLETED);
     this.current = this.total;
-    this.setState("completed");
+    this.applyState(ProgressState.COMPLETED);
     return this.getProgress();
   }
 
-  setTotal(total) {
-    this.total = total;
-    return this;
+  pause() {
+    this.setState(ProgressState.PAUSED);
+    return this.getProgress();
   }
 
-  isCompleted() {
-    return this.state === "completed";
-  }
+  resume() {
+    if (this.state !== ProgressState.PAUSED) {
+      throw new StateTransitionError(this.state, ProgressState.ACTIVE);
+    }
+    this.applyState(ProgressState.ACTIVE);
+    return this.getProgress();
+  }
+
+  fail(error) {
+    this.assertTransition(ProgressState.FAILED);
+    this.error = error instanceof Error ? error : new Error(String(error));
+    this.applyState(ProgressState.FAILED);
+    return this.getProgress();
+  }
+
+  cancel(reason = null) {
+    this.assertTransition(ProgressState.CANCELLED);
+    this.reason = reason;
+    this.applyState(ProgressState.CANCELLED);
+    return this.getProgress();
+  }
+
+  setTotal(total) {
+    this.total = total;
+    if (total > 0 && this.current > total) {
+      this.current = total;
+    }
+
+    const reachedTotal = total > 0 && this.current >= total;
+    if (this.state === ProgressState.COMPLETED && !reachedTotal) {
+      // Growing the total reopens a completed bar; this is the one exit from
+      // a final state besides reset()
+      this.applyState(ProgressState.ACTIVE);
+    } else if (reachedTotal && !this.isFinished()) {
+      this.setState(ProgressState.COMPLETED);
+    }
+
+    if (this.state !== ProgressState.IDLE) {
+      this.notifyObservers(this.getProgress());
+    }
+    return this;
+  }
+
+  isCompleted() {
+    return this.state === ProgressState.COMPLETED;
+  }
+
+  isFinished() {
+    return FINAL_STATES.has(this.state);
+  }
 }
 
 // ===== SPINNER UTILITY =====
+// Built-in spinners: frames plus the milliseconds each frame is shown
+const SPINNER_PRESETS = {
+  dots: {
+    frames: ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"],
+    interval: 80,
+  },
+  line: { frames: ["-", "\\", "|", "/"], interval: 130 },
+  arrow: { frames: ["←", "↖", "↑", "↗", "→", "↘", "↓", "↙"], interval: 100 },
+  bounce: { frames: ["⠁", "⠂", "⠄", "⠂"], interval: 120 },
+  clock: {
+    frames: [
+      "🕐",
+      "🕑",
+      "🕒",
+      "🕓",
+      "🕔",
+      "🕕",
+      "🕖",
+      "🕗",
+      "🕘",
+      "🕙",
+      "🕚",
+      "🕛",
+    ],
+    interval: 100,
+  },
+};
+const DEFAULT_SPINNER_INTERVAL = 100;
+// Presets plus anything added with Spinner.register()
+const spinnerRegistry = new Map(Object.entries(SPINNER_PRESETS));
+
+// A spinner is a preset name, an array of frames or { frames, interval }.
+// next() steps one frame per call; frameAt() picks the frame from the time
+// since the spinner started, so the animation speed does not depend on how
+// often it is drawn.
 class Spinner {
-  constructor(frames = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"]) {
+  constructor(spinner = "dots", options = {}) {
+    const { frames, interval } = Spinner.resolve(spinner);
     this.frames = frames;
+    this.interval = options.interval ?? interval;
     this.current = 0;
+    this.startTime = performance.now();
   }
 
   next() {
@@ -303,52 +1190,394 @@ class Spinner {
     return frame;
   }
 
+  frameAt(time = performance.now()) {
+    const index = Math.floor(
+      Math.max(0, time - this.startTime) / this.interval
+    );
+    return this.frames[index % this.frames.length];
+  }
+
+  reset() {
+    this.current = 0;
+    this.startTime = performance.now();
+  }
+
+  static resolve(spinner) {
+    if (Array.isArray(spinner)) {
+      return { frames: spinner, interval: DEFAULT_SPINNER_INTERVAL };
+    }
+    if (spinner && typeof spinner === "object") {
+      return {
+        frames: spinner.frames,
+        interval: spinner.interval ?? DEFAULT_SPINNER_INTERVAL,
+      };
+    }
+
+    const preset = spinnerRegistry.get(spinner);
+    if (!preset) {
+      throw new Error(
+        `Unknown spinner "${spinner}". Available: ${[
+          ...spinnerRegistry.keys(),
+        ].join(", ")}`
+      );
+    }
+    return preset;
+  }
+
+  // Makes a named spinner available everywhere a preset name is accepted
+  // (themes, renderer config, new Spinner(name))
+  static register(name, frames, options = {}) {
+    if (!Array.isArray(frames) || frames.length === 0) {
+      throw new Error(`Spinner "${name}" needs at least one frame`);
+    }
+    spinnerRegistry.set(name, {
+      frames,
+      interval: options.interval ?? DEFAULT_SPINNER_INTERVAL,
+    });
+  }
+
+  // Frame arrays by name, including registered spinners
+  static get presets() {
+    return Object.fromEntries(
+      [...spinnerRegistry].map(([name, { frames }]) => [name, frames])
+    );
+  }
+}
+
+// ===== THEMES =====
+// A theme names the color of each part of a line (a Colors name, "#rrggbb",
+// or null for none) and the glyphs drawn for it. `gradient` lists colors the
+// bar fill moves through as the percentage grows.
+class ProgressThemes {
   static get presets() {
+    const base = {
+      glyphs: {
+        filled: "█",
+        empty: "░",
+        success: "✓",
+        error: "✗",
+        warning: "⚠",
+        branch: "└",
+      },
+      colors: {
+        fill: "cyan",
+        complete: "green",
+        failed: "red",
+        cancelled: "yellow",
+        empty: "dim",
+        percentage: "bright",
+        speed: "dim",
+        eta: "dim",
+        payload: "dim",
+        paused: "dim",
+        spinner: "cyan",
+        success: "green",
+        error: "red",
+        warning: "yellow",
+      },
+      spinner: "dots",
+      gradient: null,
+    };
+
+    return {
+      default: base,
+      "ascii-only": {
+        glyphs: {
+          filled: "#",
+          empty: "-",
+          success: "OK",
+          error: "X",
+          warning: "!",
+          branch: "`-",
+        },
+        spinner: "line",
+      },
+      "high-contrast": {
+        glyphs: { empty: "·" },
+        colors: {
+          fill: "brightCyan",
+          complete: "brightGreen",
+          failed: "brightRed",
+          cancelled: "brightYellow",
+          empty: "white",
+          speed: "brightWhite",
+          eta: "brightWhite",
+          payload: "brightWhite",
+          paused: "brightYellow",
+          spinner: "brightCyan",
+          success: "brightGreen",
+          error: "brightRed",
+          warning: "brightYellow",
+        },
+      },
+      monochrome: {
+        colors: Object.fromEntries(
+          Object.keys(base.colors).map((role) => [role, null])
+        ),
+      },
+    };
+  }
+
+  // Accepts a preset name or a partial theme, filled in from the default
+  static resolve(theme = "default") {
+    const presets = this.presets;
+    const source = typeof theme === "string" ? presets[theme] : theme;
+    if (!source) {
+      throw new Error(
+        `Unknown theme "${theme}". Available: ${Object.keys(presets).join(
+          ", "
+        )}`
+      );
+    }
+
+    const base = presets.default;
     return {
-      dots: ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"],
-      line: ["-", "\\", "|", "/"],
-      arrow: ["←", "↖", "↑", "↗", "→", "↘", "↓", "↙"],
-      bounce: ["⠁", "⠂", "⠄", "⠂"],
-      clock: [
-        "🕐",
-        "🕑",
-        "🕒",
-        "🕓",
-        "🕔",
-        "🕕",
-        "🕖",
-        "🕗",
-        "🕘",
-        "🕙",
-        "🕚",
-        "🕛",
-      ],
+      ...base,
+      ...source,
+      glyphs: { ...base.glyphs, ...source.glyphs },
+      colors: { ...base.colors, ...source.colors },
     };
   }
 }
 
+// ===== UNIT FORMATTING =====
+// "items" keeps raw counters, "bytes" scales with IEC (KiB, default) or SI
+// (kB) prefixes, anything else is a custom unit such as "rows" or "req"
+class UnitFormatter {
+  constructor(unit = "items", options = {}) {
+    this.unit = unit || "items";
+    this.precision = options.precision ?? 1;
+
+    if (this.unit === "bytes") {
+      const si = options.standard === "si";
+      this.base = si ? 1000 : 1024;
+      this.prefixes = si
+        ? ["B", "kB", "MB", "GB", "TB", "PB"]
+        : ["B", "KiB", "MiB", "GiB", "TiB", "PiB"];
+    } else {
+      this.base = options.scale === "si" ? 1000 : null;
+      this.prefixes = ["", "k", "M", "G", "T", "P"];
+      this.plural = options.plural || this.unit;
+      this.singular = options.singular || this.plural.replace(/s$/, "");
+    }
+  }
+
+  scale(value) {
+    let scaled = value;
+    let index = 0;
+    if (this.base) {
+      while (
+        Math.abs(scaled) >= this.base &&
+        index < this.prefixes.length - 1
+      ) {
+        scaled /= this.base;
+        index++;
+      }
+    }
+
+    const number =
+      index === 0 && Number.isInteger(scaled)
+        ? String(scaled)
+        : scaled.toFixed(this.precision);
+    return { number, prefix: this.prefixes[index] };
+  }
+
+  format(value) {
+    if (this.unit === "items") return String(value);
+
+    const { number, prefix } = this.scale(value);
+    if (this.unit === "bytes") return `${number} ${prefix}`;
+
+    const label = value === 1 ? this.singular : this.plural;
+    return `${number}${prefix} ${label}`;
+  }
+
+  formatRange(current, total) {
+    if (this.unit === "items") return `${current}/${total}`;
+    return `${this.format(current)}/${this.format(total)}`;
+  }
+
+  formatSpeed(speed) {
+    if (this.unit === "bytes") return `${this.format(speed)}/s`;
+
+    const singular = this.unit === "items" ? "item" : this.singular;
+    if (speed > 0 && speed < 1) return `${(1 / speed).toFixed(1)}s/${singular}`;
+
+    const rounded = speed < 100 ? speed : Math.round(speed);
+    if (this.unit === "items") {
+      return speed < 100 ? `${speed.toFixed(1)}/s` : `${rounded}/s`;
+    }
+
+    const { number, prefix } = this.scale(rounded);
+    return `${number}${prefix} ${this.plural}/s`;
+  }
+}
+
+// ===== TEMPLATE ENGINE =====
+// Tokens look like {name}, {name:format} or {name:format|modifier:arg|...}.
+// Supported modifiers: color:<name>, width:<n>, align:left|right|center and
+// pad:<char>. Unknown tokens are left untouched.
+class ProgressTemplate {
+  constructor(source) {
+    this.source = source;
+    this.parts = ProgressTemplate.parse(source);
+  }
+
+  static parse(source) {
+    const parts = [];
+    const pattern = /\{([\w.]+)(?::([^|}]*))?((?:\|[^|}]+)*)\}/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+      if (match.index > lastIndex) {
+        parts.push(source.slice(lastIndex, match.index));
+      }
+
+      const modifiers = {};
+      match[3]
+        .split("|")
+        .filter(Boolean)
+        .forEach((modifier) => {
+          const [key, ...rest] = modifier.split(":");
+          modifiers[key.trim()] = rest.join(":");
+        });
+
+      parts.push({
+        raw: match[0],
+        name: match[1],
+        format: match[2] !== undefined && match[2] !== "" ? match[2] : null,
+        modifiers,
+      });
+      lastIndex = pattern.lastIndex;
+    }
+
+    if (lastIndex < source.length) {
+      parts.push(source.slice(lastIndex));
+    }
+    return parts;
+  }
+
+  // resolve(name, format) returns the token value or undefined if unknown;
+  // colorize(text, color) applies the color modifier
+  render(resolve, colorize = (text) => text) {
+    return this.parts
+      .map((part) => {
+        if (typeof part === "string") return part;
+
+        const value = resolve(part.name, part.format);
+        if (value === undefined) return part.raw;
+
+        return ProgressTemplate.applyModifiers(
+          String(value),
+          part.modifiers,
+          colorize
+        );
+      })
+      .join("");
+  }
+
+  static applyModifiers(text, modifiers, colorize) {
+    let result = text;
+
+    if (modifiers.width !== undefined) {
+      const width = Number(modifiers.width);
+      const padChar = modifiers.pad || " ";
+      const visibleWidth = TextUtils.visibleWidth(result);
+
+      if (visibleWidth > width) {
+        result = TextUtils.truncate(result, width, "");
+      } else {
+        const padding = width - visibleWidth;
+        if (modifiers.align === "right") {
+          result = padChar.repeat(padding) + result;
+        } else if (modifiers.align === "center") {
+          const left = Math.floor(padding / 2);
+          result =
+            padChar.repeat(left) + result + padChar.repeat(padding - left);
+        } else {
+          result = result + padChar.repeat(padding);
+        }
+      }
+    }
+
+    if (modifiers.color) {
+      result = colorize(result, modifiers.color);
+    }
+
+    return result;
+  }
+}
+
 // ===== ENHANCED RENDERERS =====
+// Segments removed, in order, when a line does not fit the terminal
+const LAYOUT_DROP_ORDER = ["payload", "speed", "eta", "counter"];
+const MIN_BAR_LENGTH = 10;
+// Milliseconds per step of the bouncing indeterminate bar
+const BOUNCE_INTERVAL = 100;
+
+// Glyphs per bar style. `partials` draw the fractional cell in growing
+// steps; `head` marks the leading edge. "blocks" uses the configured
+// filledChar/emptyChar.
+const BAR_STYLES = {
+  blocks: {},
+  smooth: {
+    filled: "█",
+    partials: ["▏", "▎", "▍", "▌", "▋", "▊", "▉"],
+    empty: " ",
+  },
+  shades: { filled: "█", partials: ["░", "▒", "▓"], empty: " " },
+  ascii: { filled: "=", head: ">", empty: " " },
+};
+
 class ConsoleProgressRenderer extends IProgressRenderer {
   constructor(config = {}) {
     super();
+    this.terminal = Terminal.from(config.stream);
+    this.theme = ProgressThemes.resolve(config.theme);
     this.config = {
-      barLength: Math.min(config.barLength || 40, TerminalUtils.columns - 30),
-      filledChar: config.filledChar || "█",
-      emptyChar: config.emptyChar || "░",
+      barLength: config.barLength || 40, // Preferred; shrinks to fit per frame
+      filledChar: config.filledChar || this.theme.glyphs.filled,
+      emptyChar: config.emptyChar || this.theme.glyphs.empty,
       showETA: config.showETA !== false,
       showSpeed: config.showSpeed !== false,
       showPercentage: config.showPercentage !== false,
+      showPayload: config.showPayload || false,
       precision: config.precision || 1,
       useColors: config.useColors !== false,
       template: config.template || null,
       updateThrottle: config.updateThrottle || 0,
       testMode: config.testMode || false,
+      showChildren: config.showChildren || false,
+      barStyle: config.barStyle || "blocks",
+      indeterminateStyle: config.indeterminateStyle || "spinner", // Or "bounce"
+      spinner: config.spinner || null, // Overrides the theme's spinner
+      showSpinner: config.showSpinner || false, // Spinner before determinate bars
       ...config,
     };
+    if (!BAR_STYLES[this.config.barStyle]) {
+      throw new Error(
+        `Unknown bar style "${this.config.barStyle}". Available: ${Object.keys(
+          BAR_STYLES
+        ).join(", ")}`
+      );
+    }
+    this.bounceStartTime = performance.now();
+    this.units =
+      this.config.units instanceof UnitFormatter
+        ? this.config.units
+        : new UnitFormatter(this.config.units, this.config.unitOptions);
     this.lastLineLength = 0;
     this.spinner = null;
+    this.template = null;
     this.lastRenderTime = 0;
-    this.hasRenderedCompletion = false;
+    this.hasRenderedFinal = false;
+    this.renderedLines = 1;
+    this.lastProgress = null;
+    this.lastOutput = "";
+    this.stopWatchingResize = null;
+    this.lastMilestone = 0;
+    this.hasRenderedStart = false;
   }
 
   formatTime(seconds) {
@@ -360,363 +1589,2404 @@ class ConsoleProgressRenderer extends IProgressRenderer {
     )}m`;
   }
 
-  formatSpeed(speed) {
-    if (speed < 1) return `${(speed * 1000).toFixed(0)}ms/item`;
-    if (speed < 100) return `${speed.toFixed(1)}/s`;
-    return `${Math.round(speed)}/s`;
+  formatSpeed(speed) {
+    return this.units.formatSpeed(speed);
+  }
+
+  // Colors only when enabled in config, downgraded to the stream's depth
+  paint(text, color) {
+    return Colors.colorize(
+      text,
+      color,
+      this.config.useColors ? this.terminal.colorDepth : 0
+    );
+  }
+
+  // Paints text in the theme's color for a part of the line
+  style(text, role) {
+    return this.paint(text, this.theme.colors[role]);
+  }
+
+  render(progressData) {
+    const now = performance.now();
+    const previous = this.lastProgress;
+    this.lastProgress = progressData;
+
+    // Throttle steady updates if configured; a change of state always draws
+    if (
+      this.getThrottleDelay(now) > 0 &&
+      !progressData.isFinished &&
+      progressData.state === previous?.state
+    ) {
+      return;
+    }
+    this.lastRenderTime = now;
+
+    const { current, percentage, isFinished } = progressData;
+
+    // Prevent duplicate completion/failure messages
+    if (isFinished && this.hasRenderedFinal) {
+      return;
+    }
+
+    const output = this.formatLine(progressData);
+
+    // Clear previous line and write new one
+    if (this.terminal.isInteractive) {
+      // Nothing to write when the screen already shows this line
+      if (output === this.lastOutput && !isFinished) return;
+
+      this.watchResize();
+      this.clearRenderedLines();
+      this.terminal.write(output);
+      this.renderedLines = output.split("\n").length;
+      this.lastOutput = output;
+
+      if (isFinished && !this.hasRenderedFinal) {
+        this.terminal.writeLine(this.formatFinal(progressData));
+        this.hasRenderedFinal = true;
+        this.renderedLines = 1;
+        this.unwatchResize();
+      }
+    } else {
+      // Non-interactive mode - only show milestones
+      if (isFinished) {
+        this.terminal.writeLine(output + this.formatFinal(progressData));
+        this.hasRenderedFinal = true;
+      } else {
+        // The start once, then every 10% step reached, even when an update
+        // skips past several. Indeterminate bars never pass the start.
+        const milestone = Math.floor(percentage / 10);
+        const isStart = current === 0 && !this.hasRenderedStart;
+        if (isStart || milestone > this.lastMilestone) {
+          this.lastMilestone = milestone;
+          this.hasRenderedStart = true;
+          this.terminal.writeLine(output);
+        }
+      }
+    }
+
+    this.lastLineLength = output.length;
+  }
+
+  // Lines redrawn in place only need the latest progress, so the render loop
+  // may coalesce updates
+  get canSkipFrames() {
+    return this.terminal.isInteractive;
+  }
+
+  // Milliseconds until updateThrottle allows another frame
+  getThrottleDelay(now = performance.now()) {
+    const { updateThrottle } = this.config;
+    if (!(updateThrottle > 0)) return 0;
+    return Math.max(0, this.lastRenderTime + updateThrottle - now);
+  }
+
+  // Clears the bar, lets print() write in its place and draws the bar again
+  // below, so messages never end up inside the progress line
+  printAbove(print) {
+    const isDrawn =
+      this.terminal.isInteractive && this.lastOutput && !this.hasRenderedFinal;
+    if (!isDrawn) {
+      print();
+      return;
+    }
+
+    this.clearRenderedLines();
+    print();
+    this.terminal.write(this.lastOutput);
+  }
+
+  log(message) {
+    this.printAbove(() => this.terminal.writeLine(message));
+  }
+
+  // Draws the last progress again so time-based spinners advance between
+  // updates
+  tick() {
+    if (!this.lastProgress || this.hasRenderedFinal) return;
+
+    this.lastRenderTime = 0;
+    this.render(this.lastProgress);
+  }
+
+  watchResize() {
+    if (!this.stopWatchingResize) {
+      this.stopWatchingResize = this.terminal.onResize(() =>
+        this.handleResize()
+      );
+    }
+  }
+
+  unwatchResize() {
+    this.stopWatchingResize?.();
+    this.stopWatchingResize = null;
+  }
+
+  // Lines drawn at the old width may have wrapped onto extra rows; clear all
+  // of them and draw again with a layout for the new width
+  handleResize() {
+    if (!this.lastProgress || this.hasRenderedFinal) return;
+
+    const columns = this.terminal.columns;
+    this.renderedLines = this.lastOutput
+      .split("\n")
+      .reduce(
+        (rows, line) =>
+          rows + Math.max(1, Math.ceil(TextUtils.visibleWidth(line) / columns)),
+        0
+      );
+    this.lastRenderTime = 0;
+    this.lastOutput = ""; // Always redraw, even when the line is unchanged
+    this.render(this.lastProgress);
+  }
+
+  // Clears every line written by the previous render (child rows included),
+  // leaving the cursor at the start of the first one
+  clearRenderedLines() {
+    this.terminal.clearLine();
+    for (let i = 1; i < this.renderedLines; i++) {
+      this.terminal.moveCursor(1, 1);
+      this.terminal.clearLine();
+    }
+  }
+
+  // Builds the progress line without writing it, so composite renderers can
+  // place it themselves
+  formatLine(progressData, depth = 0) {
+    const {
+      current,
+      total,
+      percentage,
+      eta,
+      speed,
+      description,
+      isFinished,
+      isIndeterminate,
+      state,
+    } = progressData;
+
+    // Leave room for the final status suffix that render() appends
+    const width =
+      this.getAvailableWidth(depth) -
+      (isFinished ? TextUtils.visibleWidth(this.formatFinal(progressData)) : 0);
+
+    if (this.config.template) {
+      return this.appendActiveChild(
+        TextUtils.truncate(this.renderTemplate(progressData), width),
+        progressData,
+        depth
+      );
+    }
+
+    const segments = [];
+
+    if (isIndeterminate && isFinished) {
+      // The final status suffix replaces the spinner
+      return this.appendActiveChild(
+        TextUtils.truncate(description, width),
+        progressData,
+        depth
+      );
+    } else if (isIndeterminate && this.config.indeterminateStyle === "bounce") {
+      // layoutLine draws the bouncing bar in place of the spinner
+      if (current > 0) {
+        segments.push({
+          key: "counter",
+          text: `(${this.units.format(current)})`,
+        });
+      }
+    } else if (isIndeterminate) {
+      const spinnerFrame = this.getSpinner().frameAt();
+      segments.push({
+        key: "spinner",
+        text: `${this.style(spinnerFrame, "spinner")} Working...`,
+      });
+      if (current > 0) {
+        segments.push({
+          key: "counter",
+          text: `(${this.units.format(current)})`,
+        });
+      }
+    } else {
+      if (this.config.showPercentage) {
+        const pct = `${percentage.toFixed(this.config.precision)}%`;
+        segments.push({
+          key: "percentage",
+          text: this.style(pct, "percentage"),
+        });
+      }
+
+      segments.push({
+        key: "counter",
+        text: `(${this.units.formatRange(current, total)})`,
+      });
+
+      if (this.config.showSpeed && speed > 0) {
+        segments.push({
+          key: "speed",
+          text: this.style(this.formatSpeed(speed), "speed"),
+        });
+      }
+
+      if (this.config.showETA && eta > 0 && state === ProgressState.ACTIVE) {
+        segments.push({
+          key: "eta",
+          text: `ETA: ${this.style(this.formatTime(eta), "eta")}`,
+        });
+      }
+    }
+
+    const payloadText = this.formatPayload(progressData.payload);
+    if (payloadText) {
+      segments.push({
+        key: "payload",
+        text: this.style(payloadText, "payload"),
+      });
+    }
+
+    if (state === ProgressState.PAUSED) {
+      segments.push({ key: "paused", text: this.style("(paused)", "paused") });
+    }
+
+    // A ticking spinner in front of a running bar shows it is still alive
+    // between updates
+    const prefix =
+      this.config.showSpinner &&
+      !isIndeterminate &&
+      state === ProgressState.ACTIVE
+        ? `${this.style(this.getSpinner().frameAt(), "spinner")} `
+        : "";
+
+    return this.appendActiveChild(
+      prefix +
+        this.layoutLine(
+          progressData,
+          segments,
+          width - TextUtils.visibleWidth(prefix)
+        ),
+      progressData,
+      depth
+    );
+  }
+
+  getSpinner() {
+    if (!this.spinner) {
+      this.spinner = new Spinner(this.config.spinner || this.theme.spinner);
+    }
+    return this.spinner;
+  }
+
+  // How often the owning bar should redraw between updates, or null when
+  // nothing on the line animates. Pipes and logs never tick a determinate bar.
+  getTickInterval(isIndeterminate) {
+    if (isIndeterminate) {
+      return this.config.indeterminateStyle === "bounce"
+        ? BOUNCE_INTERVAL
+        : this.getSpinner().interval;
+    }
+    return this.config.showSpinner && this.terminal.isInteractive
+      ? this.getSpinner().interval
+      : null;
+  }
+
+  // Columns available to a line at the given nesting depth. Pipes and files
+  // have no width, so their lines are never shortened.
+  getAvailableWidth(depth = 0) {
+    if (!this.terminal.isTTY) return Infinity;
+
+    // One spare column stops the terminal wrapping at the right edge
+    const indent = depth > 0 ? depth * 2 + 2 : 0;
+    return Math.max(0, this.terminal.columns - 1 - indent);
+  }
+
+  // Fits "description: [bar] segments" into `width` columns. The bar shrinks
+  // first, then segments are dropped in LAYOUT_DROP_ORDER and finally the
+  // description is truncated.
+  layoutLine(progressData, segments, width) {
+    const hasBar =
+      !progressData.isIndeterminate ||
+      this.config.indeterminateStyle === "bounce";
+    const minBar = hasBar ? Math.min(MIN_BAR_LENGTH, this.config.barLength) : 0;
+    // Width of everything but the bar: "description: [] segments"
+    const fixedWidth = (description, list) =>
+      TextUtils.visibleWidth(`${description}:${hasBar ? " []" : ""}`) +
+      list.reduce((sum, { text }) => sum + 1 + TextUtils.visibleWidth(text), 0);
+
+    let kept = segments;
+    for (const key of LAYOUT_DROP_ORDER) {
+      if (width - fixedWidth(progressData.description, kept) >= minBar) break;
+      kept = kept.filter((segment) => segment.key !== key);
+    }
+
+    let { description } = progressData;
+    const overflow = fixedWidth(description, kept) + minBar - width;
+    if (overflow > 0) {
+      description = TextUtils.truncate(
+        description,
+        Math.max(0, TextUtils.visibleWidth(description) - overflow)
+      );
+    }
+
+    // A description truncated away entirely takes its separator with it
+    const label = description ? `${description}:` : "";
+    const stats = kept.map(({ text }) => ` ${text}`).join("");
+    if (!hasBar) {
+      return `${label}${stats}`.trimStart();
+    }
+
+    const barLength = Math.max(
+      0,
+      Math.min(this.config.barLength, width - fixedWidth(description, kept))
+    );
+    const bar = `[${this.formatBar(progressData, barLength)}]`;
+    return `${label ? `${label} ` : ""}${bar}${stats}`;
+  }
+
+  // With showChildren, the running sub-task goes on its own indented line
+  // (recursively for nested children)
+  appendActiveChild(output, progressData, depth) {
+    const child = progressData.activeChild;
+    if (!this.config.showChildren || !child) return output;
+
+    const indent = "  ".repeat(depth + 1);
+    const branch = this.theme.glyphs.branch;
+    return `${output}\n${indent}${branch} ${this.formatLine(child, depth + 1)}`;
+  }
+
+  // showPayload may be true (all fields) or an array of field names
+  formatPayload(payload = {}) {
+    const { showPayload } = this.config;
+    if (!showPayload) return "";
+
+    const keys = Array.isArray(showPayload)
+      ? showPayload
+      : Object.keys(payload);
+    return keys
+      .filter((key) => payload[key] !== undefined && payload[key] !== null)
+      .map((key) => `${key}=${payload[key]}`)
+      .join(" ");
+  }
+
+  formatBar(progressData, length = this.config.barLength) {
+    const { percentage, isComplete, state } = progressData;
+    const glyphs = this.getBarGlyphs();
+
+    if (progressData.isIndeterminate) {
+      return this.formatBounce(length, glyphs);
+    }
+
+    // Whole cells, plus one partial cell for styles that draw fractions
+    const cells = Math.max(0, Math.min(1, percentage / 100)) * length;
+    const filledLength = Math.floor(cells);
+    let partial = "";
+    if (glyphs.partials && filledLength < length) {
+      const step = Math.floor(
+        (cells - filledLength) * (glyphs.partials.length + 1)
+      );
+      if (step > 0) partial = glyphs.partials[step - 1];
+    }
+    const emptyLength = length - filledLength - (partial ? 1 : 0);
+
+    let filled = glyphs.filled.repeat(filledLength);
+    if (glyphs.head && filledLength > 0 && filledLength < length) {
+      filled = glyphs.filled.repeat(filledLength - 1) + glyphs.head;
+    }
+
+    const { colors, gradient } = this.theme;
+    const filledColor =
+      state === ProgressState.FAILED
+        ? colors.failed
+        : state === ProgressState.CANCELLED
+        ? colors.cancelled
+        : gradient
+        ? Colors.interpolate(gradient, percentage / 100)
+        : isComplete
+        ? colors.complete
+        : colors.fill;
+    const filledBar = this.paint(filled + partial, filledColor);
+    const emptyBar = this.style(glyphs.empty.repeat(emptyLength), "empty");
+
+    return `${filledBar}${emptyBar}`;
+  }
+
+  getBarGlyphs() {
+    return {
+      filled: this.config.filledChar,
+      empty: this.config.emptyChar,
+      ...BAR_STYLES[this.config.barStyle],
+    };
+  }
+
+  // A block sliding back and forth, one cell per BOUNCE_INTERVAL, for bars
+  // without a total. Like Spinner.frameAt() the position comes from the
+  // time, so extra redraws do not speed it up
+  formatBounce(length, glyphs, time = performance.now()) {
+    const width = Math.max(1, Math.min(length, Math.round(length / 5)));
+    const span = length - width;
+    const frame = Math.floor(
+      Math.max(0, time - this.bounceStartTime) / BOUNCE_INTERVAL
+    );
+    const step = span > 0 ? frame % (span * 2) : 0;
+    const offset = step <= span ? step : span * 2 - step;
+
+    return (
+      this.style(glyphs.empty.repeat(offset), "empty") +
+      this.style(glyphs.filled.repeat(width), "fill") +
+      this.style(glyphs.empty.repeat(span - offset), "empty")
+    );
+  }
+
+  // Suffix for the last line of a finished bar, distinct per final state
+  formatFinal(progressData) {
+    const { state, error, reason } = progressData;
+    const { glyphs } = this.theme;
+    // Glyphs are part of the colored output; plain output is text only
+    const mark = (glyph, message, role) =>
+      this.config.useColors
+        ? this.style(` ${glyph} ${message}`, role)
+        : ` ${message}`;
+
+    if (state === ProgressState.FAILED) {
+      const message = error?.message ? `Failed: ${error.message}` : "Failed!";
+      return mark(glyphs.error, message, "error");
+    }
+
+    if (state === ProgressState.CANCELLED) {
+      // Timeouts say so instead of reading like a user cancellation
+      const message =
+        reason instanceof TimeoutError
+          ? reason.message
+          : reason
+          ? `Cancelled: ${reason.message ?? reason}`
+          : "Cancelled";
+      return mark(glyphs.warning, message, "warning");
+    }
+
+    return mark(glyphs.success, "Complete!", "success");
+  }
+
+  renderTemplate(progressData) {
+    if (this.template?.source !== this.config.template) {
+      this.template = new ProgressTemplate(this.config.template);
+    }
+
+    return this.template.render(
+      (name, format) => this.resolveToken(name, format, progressData),
+      (text, color) => this.paint(text, color)
+    );
+  }
+
+  resolveToken(name, format, progressData) {
+    // toFixed() throws outside 0-100
+    const digits = format !== null ? Number(format) : this.config.precision;
+    const precision = Math.min(100, Math.max(0, Math.trunc(digits) || 0));
+
+    switch (name) {
+      case "bar":
+        return this.formatBar(
+          progressData,
+          format !== null ? Number(format) : this.config.barLength
+        );
+      case "percentage":
+        return progressData.percentage.toFixed(precision);
+      case "eta":
+      case "elapsed":
+        return this.formatDuration(progressData[name], format);
+      case "current":
+      case "total":
+        return format === "raw"
+          ? progressData[name]
+          : this.units.format(progressData[name]);
+      case "speed":
+        return format !== null
+          ? progressData.speed.toFixed(precision)
+          : this.formatSpeed(progressData.speed);
+      case "spinner":
+        return this.getSpinner().frameAt();
+    }
+
+    // {custom.key} and {payload.key} read caller-supplied payload fields
+    const [scope, key] = name.split(".");
+    if (key !== undefined) {
+      if (scope !== "custom" && scope !== "payload") return undefined;
+      return progressData.payload?.[key] ?? "";
+    }
+
+    return progressData[name];
+  }
+
+  formatDuration(seconds, format) {
+    if (format === "hms") {
+      const total = Math.max(0, Math.round(seconds));
+      return [
+        Math.floor(total / 3600),
+        Math.floor((total % 3600) / 60),
+        total % 60,
+      ]
+        .map((part) => String(part).padStart(2, "0"))
+        .join(":");
+    }
+    if (format === "human") return this.formatTime(seconds);
+    return Math.round(seconds);
+  }
+
+  cleanup() {
+    // Leave the shell prompt below a line that never got its final status
+    if (
+      this.terminal.isInteractive &&
+      this.lastOutput &&
+      !this.hasRenderedFinal
+    ) {
+      this.terminal.writeLine();
+    }
+    this.terminal.showCursor();
+    this.unwatchResize();
+    this.hasRenderedFinal = false;
+  }
+
+  reset() {
+    this.hasRenderedFinal = false;
+    this.lastRenderTime = 0;
+    this.bounceStartTime = performance.now();
+    this.renderedLines = 1;
+    this.lastMilestone = 0;
+    this.hasRenderedStart = false;
+    this.lastOutput = "";
+  }
+}
+
+// Plain line-based output for CI logs and pipes: a line at every percentage
+// step or time interval (whichever comes first), timestamps, no escape codes
+// and a summary line once the bar finishes
+class LogProgressRenderer extends ConsoleProgressRenderer {
+  constructor(config = {}) {
+    super({
+      percentStep: 10, // 0 disables step lines
+      interval: 30000, // ms, 0 disables time-based lines
+      timestamps: true,
+      ...config,
+      useColors: false,
+    });
+    // Never move the cursor, even when the stream is a terminal
+    this.terminal = new Terminal(this.terminal.stream, { interactive: false });
+    this.lastStep = 0;
+    this.lastLogTime = null;
+  }
+
+  render(progressData) {
+    if (this.hasRenderedFinal) return;
+
+    if (progressData.isFinished) {
+      this.terminal.writeLine(this.formatSummary(progressData));
+      this.hasRenderedFinal = true;
+      return;
+    }
+
+    if (this.shouldLog(progressData)) {
+      this.terminal.writeLine(this.formatLogLine(progressData));
+    }
+  }
+
+  shouldLog({ percentage, isIndeterminate }) {
+    const now = performance.now();
+    const { percentStep, interval } = this.config;
+    const step =
+      !isIndeterminate && percentStep > 0
+        ? Math.floor(percentage / percentStep)
+        : 0;
+
+    // Always announce the start, then each new step or elapsed interval
+    const due =
+      this.lastLogTime === null ||
+      step > this.lastStep ||
+      (interval > 0 && now - this.lastLogTime >= interval);
+
+    if (due) {
+      this.lastStep = step;
+      this.lastLogTime = now;
+    }
+    return due;
+  }
+
+  formatLogLine(progressData) {
+    const { current, total, percentage, speed, eta, elapsed, state } =
+      progressData;
+
+    const parts = [];
+    if (progressData.isIndeterminate) {
+      parts.push(this.units.format(current));
+    } else {
+      parts.push(
+        `${percentage.toFixed(this.config.precision)}%`,
+        `(${this.units.formatRange(current, total)})`
+      );
+    }
+    if (this.config.showSpeed && speed > 0) {
+      parts.push(this.formatSpeed(speed));
+    }
+    parts.push(`elapsed ${this.formatTime(elapsed)}`);
+    if (this.config.showETA && eta > 0 && state === ProgressState.ACTIVE) {
+      parts.push(`ETA ${this.formatTime(eta)}`);
+    }
+
+    const payloadText = this.formatPayload(progressData.payload);
+    if (payloadText) parts.push(payloadText);
+
+    return this.withTimestamp(
+      `${progressData.description}: ${parts.join(" ")}`
+    );
+  }
+
+  formatSummary(progressData) {
+    const { current, total, percentage, elapsed, state, error, reason } =
+      progressData;
+    const amount = progressData.isIndeterminate
+      ? this.units.format(current)
+      : this.units.formatRange(current, total);
+    const position = progressData.isIndeterminate
+      ? amount
+      : `${percentage.toFixed(this.config.precision)}% (${amount})`;
+    const duration = this.formatTime(elapsed);
+
+    let summary;
+    if (state === ProgressState.FAILED) {
+      summary = `failed at ${position} after ${duration}`;
+      if (error?.message) summary += `: ${error.message}`;
+    } else if (
+      state === ProgressState.CANCELLED &&
+      reason instanceof TimeoutError
+    ) {
+      summary = `timed out at ${position} after ${duration}`;
+    } else if (state === ProgressState.CANCELLED) {
+      summary = `cancelled at ${position} after ${duration}`;
+      if (reason) summary += `: ${reason.message ?? reason}`;
+    } else {
+      const average = elapsed > 0 ? current / elapsed : 0;
+      summary = `completed ${amount} in ${duration}`;
+      if (average > 0) summary += ` (avg ${this.formatSpeed(average)})`;
+    }
+
+    return this.withTimestamp(`${progressData.description}: ${summary}`);
+  }
+
+  withTimestamp(line) {
+    return this.config.timestamps
+      ? `[${new Date().toISOString()}] ${line}`
+      : line;
+  }
+
+  reset() {
+    super.reset();
+    this.lastStep = 0;
+    this.lastLogTime = null;
+  }
+}
+
+// One NDJSON event per update or state change, for IDEs, dashboards and
+// parent processes (see JsonProgressConsumer). Progress events are rate
+// limited; state changes always go out.
+class JsonProgressRenderer extends IProgressRenderer {
+  constructor(config = {}) {
+    super();
+    // Events are data: never cursor control, whatever the stream is. They go
+    // to stdout unless told otherwise, even when stdout is piped, since the
+    // pipe is usually where the consumer reads them
+    const stream = config.stream ? Terminal.from(config.stream).stream : null;
+    this.terminal = new Terminal(stream || process.stdout, {
+      interactive: false,
+    });
+    this.config = {
+      id: null, // Defaults to the bar description
+      minInterval: 100, // ms between progress events
+      ...config,
+    };
+    this.lastState = null;
+    this.lastEmitTime = 0;
+    this.lastId = null;
+    this.pending = null; // Latest progress held back by minInterval
+    this.pendingTimer = null;
+  }
+
+  static createEvent(type, id, progressData) {
+    const { current, total, percentage, eta, speed, state, payload } =
+      progressData;
+    const event = {
+      type,
+      id,
+      description: progressData.description,
+      current,
+      total,
+      percentage,
+      eta: Number.isFinite(eta) ? eta : null,
+      speed,
+      state,
+      payload,
+      ts: Date.now(),
+    };
+    if (progressData.error) event.error = progressData.error.message;
+    if (progressData.reason) {
+      event.reason = progressData.reason.message ?? progressData.reason;
+    }
+    return event;
+  }
+
+  render(progressData) {
+    const type = progressData.state !== this.lastState ? "state" : "progress";
+    const wait =
+      this.lastEmitTime + this.config.minInterval - performance.now();
+
+    // Within minInterval the latest update waits for the interval to pass,
+    // so a burst followed by a pause still ends on the current value
+    if (type === "progress" && wait > 0) {
+      this.pending = progressData;
+      if (!this.pendingTimer) {
+        this.pendingTimer = setTimeout(() => this.flush(), wait);
+        this.pendingTimer.unref?.();
+      }
+      return;
+    }
+
+    this.emit(type, progressData);
+  }
+
+  flush() {
+    if (this.pending) this.emit("progress", this.pending);
+  }
+
+  emit(type, progressData) {
+    this.dropPending();
+    this.lastState = progressData.state;
+    this.lastEmitTime = performance.now();
+    this.lastId = this.config.id ?? progressData.description;
+    this.terminal.writeLine(
+      JSON.stringify(
+        JsonProgressRenderer.createEvent(type, this.lastId, progressData)
+      )
+    );
+  }
+
+  // A table would break line-by-line consumers: the report is one more
+  // event, whatever format was asked for
+  renderReport(report, format, id = this.config.id ?? this.lastId) {
+    const event = { type: "report", id, ...report.toJSON() };
+    this.terminal.writeLine(JSON.stringify({ ...event, ts: Date.now() }));
+  }
+
+  dropPending() {
+    clearTimeout(this.pendingTimer);
+    this.pendingTimer = null;
+    this.pending = null;
+  }
+
+  cleanup() {
+    this.flush();
+  }
+
+  reset() {
+    this.dropPending();
+    this.lastState = null;
+    this.lastEmitTime = 0;
+  }
+}
+
+// Renderer for a named output format, e.g. from PROGRESS_FORMAT; null means
+// the console default
+function createFormatRenderer(format, config = {}) {
+  if (format === "json") return new JsonProgressRenderer(config);
+  if (format === "log") return new LogProgressRenderer(config);
+  return null;
+}
+
+class SilentProgressRenderer extends IProgressRenderer {
+  constructor() {
+    super();
+    this.progressHistory = [];
+    this.lastProgress = null;
+  }
+
+  render(progressData) {
+    this.lastProgress = { ...progressData };
+    this.progressHistory.push({ ...progressData, timestamp: Date.now() });
+  }
+
+  getLastProgress() {
+    return this.lastProgress;
+  }
+
+  getHistory() {
+    return [...this.progressHistory]; // Return copy to prevent external mutation
+  }
+
+  clear() {
+    this.progressHistory = [];
+    this.lastProgress = null;
+  }
+
+  cleanup() {
+    // Silent renderer doesn't need cleanup
+  }
+
+  reset() {
+    this.clear();
+  }
+}
+
+class MultiProgressRenderer extends IProgressRenderer {
+  constructor(config = {}) {
+    super();
+    this.config = config;
+    this.terminal = Terminal.from(config.stream);
+    this.theme = ProgressThemes.resolve(config.theme);
+    this.renderers = new Map();
+    this.rows = new Map();
+    this.lineCount = 0; // Rows currently reserved on screen
+    this.lastLines = [];
+    this.stopWatchingResize = null;
+    this.redrawTask = () => this.redraw();
+    this.onFinish = null; // Called once every row has finished
+    this.eventRenderer = null;
+  }
+
+  addProgress(id, renderer = new ConsoleProgressRenderer(this.config)) {
+    this.renderers.set(id, renderer);
+    this.rows.set(id, null);
+    // Rows writing NDJSON take the report too, see renderReport()
+    if (renderer instanceof JsonProgressRenderer) this.eventRenderer = renderer;
+  }
+
+  removeProgress(id) {
+    if (this.renderers.delete(id)) {
+      this.rows.delete(id);
+      this.redraw();
+    }
+  }
+
+  // Returns a renderer that a ProgressBar can own while drawing into this
+  // renderer's row for `id`
+  createRowRenderer(id) {
+    return new MultiProgressRowRenderer(this, id);
+  }
+
+  render(progressData, id) {
+    const renderer = this.renderers.get(id);
+    if (!renderer) return;
+
+    const previous = this.rows.get(id);
+    this.rows.set(id, progressData);
+
+    // Renderers that cannot format a single line keep rendering on their own
+    if (!this.isDrawnRow(id)) {
+      renderer.render(progressData);
+    } else if (this.terminal.isInteractive) {
+      // Rows updated by the same render loop frame share one redraw
+      renderScheduler.afterFrame(this.redrawTask);
+    } else if (progressData.isFinished && !previous?.isFinished) {
+      this.terminal.writeLine(this.formatRow(id, progressData));
+    }
+
+    if (this.isFinished()) {
+      this.finish();
+    }
+  }
+
+  isDrawnRow(id) {
+    return typeof this.renderers.get(id)?.formatLine === "function";
+  }
+
+  formatRow(id, progressData) {
+    const renderer = this.renderers.get(id);
+    const line = renderer.formatLine(progressData);
+    return progressData.isFinished
+      ? line + renderer.formatFinal(progressData)
+      : line;
+  }
+
+  redraw() {
+    if (!this.terminal.isInteractive) return;
+
+    if (!this.stopWatchingResize) {
+      this.stopWatchingResize = this.terminal.onResize(() =>
+        this.handleResize()
+      );
+    }
+
+    const lines = [];
+    this.rows.forEach((progressData, id) => {
+      // Rows showing an active child span several terminal lines
+      if (progressData && this.isDrawnRow(id)) {
+        lines.push(...this.formatRow(id, progressData).split("\n"));
+      }
+    });
+
+    const isUnchanged =
+      lines.length === this.lineCount &&
+      lines.every((line, index) => line === this.lastLines[index]);
+    if (isUnchanged) return;
+
+    // Return to the first reserved row, then rewrite every row in place
+    if (this.lineCount > 0) {
+      this.terminal.moveCursor(1, this.lineCount);
+    }
+
+    lines.forEach((line) => {
+      this.terminal.clearLine();
+      this.terminal.writeLine(line);
+    });
+
+    // Blank out rows left behind by removed bars and step back above them
+    const staleLines = this.lineCount - lines.length;
+    if (staleLines > 0) {
+      for (let i = 0; i < staleLines; i++) {
+        this.terminal.clearLine();
+        this.terminal.writeLine();
+      }
+      this.terminal.moveCursor(1, staleLines);
+    }
+
+    this.lineCount = lines.length;
+    this.lastLines = lines;
+  }
+
+  // Clears the reserved rows, lets print() write from the first of them and
+  // redraws every row below its output
+  printAbove(print) {
+    if (!this.terminal.isInteractive || this.lineCount === 0) {
+      print();
+      return;
+    }
+
+    this.terminal.moveCursor(1, this.lineCount);
+    for (let i = 0; i < this.lineCount; i++) {
+      this.terminal.clearLine();
+      this.terminal.moveCursor(1, -1);
+    }
+    this.terminal.moveCursor(1, this.lineCount);
+
+    print();
+    this.lineCount = 0;
+    this.redraw();
+  }
+
+  log(message) {
+    this.printAbove(() => this.terminal.writeLine(message));
+  }
+
+  // Rows wrapped by a narrower terminal take more lines; reserve all of them
+  // so the redraw starts from the first
+  handleResize() {
+    if (this.lineCount === 0) return;
+
+    const columns = this.terminal.columns;
+    this.lineCount = this.lastLines.reduce(
+      (rows, line) =>
+        rows + Math.max(1, Math.ceil(TextUtils.visibleWidth(line) / columns)),
+      0
+    );
+    this.lastLines = []; // Always redraw, even when the rows are unchanged
+    this.redraw();
+  }
+
+  unwatchResize() {
+    this.stopWatchingResize?.();
+    this.stopWatchingResize = null;
+  }
+
+  isFinished() {
+    const rows = [...this.rows.values()];
+    return (
+      rows.length > 0 && rows.every((progressData) => progressData?.isFinished)
+    );
+  }
+
+  finish() {
+    // Final rows may still be waiting for the end of a render loop frame
+    this.redraw();
+
+    // A summary line would break the NDJSON of event rows
+    if (this.config.showSummary !== false && !this.eventRenderer) {
+      this.printSummary();
+    }
+
+    // Release the reserved area so later output starts below the summary
+    this.rows.clear();
+    this.renderers.clear();
+    this.lineCount = 0;
+    this.lastLines = [];
+    this.unwatchResize();
+    this.onFinish?.();
+  }
+
+  printSummary() {
+    const states = [...this.rows.values()].map(({ state }) => state);
+    const count = (state) => states.filter((s) => s === state).length;
+    const failed = count(ProgressState.FAILED);
+    const cancelled = count(ProgressState.CANCELLED);
+
+    let summary = `${states.length - failed - cancelled} of ${
+      states.length
+    } complete`;
+    if (failed > 0) summary += `, ${failed} failed`;
+    if (cancelled > 0) summary += `, ${cancelled} cancelled`;
+
+    const role = failed > 0 ? "error" : cancelled > 0 ? "warning" : "success";
+    summary = `${this.theme.glyphs[role]} ${summary}`;
+    this.terminal.writeLine(
+      Colors.colorize(
+        summary,
+        this.theme.colors[role],
+        this.config.useColors !== false ? this.terminal.colorDepth : 0
+      )
+    );
+  }
+
+  renderReport(report, format) {
+    // The report covers every row, not the one whose renderer writes it
+    if (this.eventRenderer)
+      this.eventRenderer.renderReport(report, format, null);
+    else super.renderReport(report, format);
+  }
+
+  cleanup() {
+    this.unwatchResize();
+    this.renderers.forEach((renderer) => renderer.cleanup());
+  }
+
+  reset() {
+    this.renderers.forEach((renderer) => {
+      if (renderer.reset) renderer.reset();
+    });
+  }
+}
+
+class MultiProgressRowRenderer extends IProgressRenderer {
+  constructor(parent, id) {
+    super();
+    this.parent = parent;
+    this.id = id;
+  }
+
+  get terminal() {
+    return this.parent.terminal;
+  }
+
+  get canSkipFrames() {
+    return this.parent.terminal.isInteractive;
+  }
+
+  render(progressData) {
+    this.parent.render(progressData, this.id);
+  }
+
+  // Spinner timing comes from the renderer that formats this row
+  getTickInterval(isIndeterminate) {
+    const renderer = this.parent.renderers.get(this.id);
+    if (renderer?.getTickInterval) {
+      return renderer.getTickInterval(isIndeterminate);
+    }
+    return isIndeterminate ? DEFAULT_SPINNER_INTERVAL : null;
+  }
+
+  tick() {
+    if (this.parent.rows.get(this.id)) this.parent.redraw();
+  }
+
+  printAbove(print) {
+    this.parent.printAbove(print);
+  }
+
+  log(message) {
+    this.parent.log(message);
+  }
+
+  renderReport(report, format) {
+    this.parent.renderReport(report, format);
+  }
+
+  cleanup() {
+    // The parent renderer owns the terminal area
+  }
+
+  reset() {
+    if (this.parent.rows.has(this.id)) {
+      this.parent.rows.set(this.id, null);
+      this.parent.redraw();
+    }
+  }
+}
+
+// ===== OUTPUT INTERCEPTION =====
+// Takes over stream writes (console.log/warn/error included) while progress
+// is on screen. Each complete line goes to onOutput(text, write), where
+// write(text) sends it on to the original stream; partial lines wait for
+// their newline.
+class OutputInterceptor {
+  constructor(onOutput, streams = [process.stdout, process.stderr]) {
+    this.onOutput = onOutput;
+    this.streams = streams;
+    this.originalWrites = new Map();
+    this.pending = new Map();
+  }
+
+  get isActive() {
+    return this.originalWrites.size > 0;
+  }
+
+  start() {
+    if (this.isActive) return this;
+
+    this.streams.forEach((stream) => {
+      if (!streamInterceptors.has(stream)) {
+        OutputInterceptor.wrap(stream);
+      }
+      streamInterceptors.get(stream).push(this);
+      this.originalWrites.set(stream, interceptedWrites.get(stream));
+    });
+    return this;
+  }
+
+  static wrap(stream) {
+    const original = stream.write;
+    interceptedWrites.set(stream, original);
+    streamInterceptors.set(stream, []);
+
+    stream.write = (chunk, encoding, callback) => {
+      const active = streamInterceptors.get(stream) || [];
+      const interceptor = active[active.length - 1];
+      if (!interceptor) return original.call(stream, chunk, encoding, callback);
+
+      const done = typeof encoding === "function" ? encoding : callback;
+      const text = Buffer.isBuffer(chunk)
+        ? chunk.toString(typeof encoding === "string" ? encoding : "utf8")
+        : String(chunk);
+      interceptor.capture(stream, text);
+      if (done) process.nextTick(done);
+      return true;
+    };
+  }
+
+  capture(stream, chunk) {
+    const text = (this.pending.get(stream) || "") + chunk;
+    const end = text.lastIndexOf("\n") + 1;
+    this.pending.set(stream, text.slice(end));
+    if (end > 0) this.emit(stream, text.slice(0, end));
+  }
+
+  emit(stream, text) {
+    const write = this.originalWrites.get(stream);
+    this.onOutput(text, (output) => write.call(stream, output));
+  }
+
+  // Restores the streams, printing anything still waiting for a newline
+  stop() {
+    this.pending.forEach((text, stream) => {
+      if (text) this.emit(stream, text);
+    });
+    this.pending.clear();
+
+    this.originalWrites.forEach((original, stream) => {
+      const active = streamInterceptors.get(stream);
+      active.splice(active.indexOf(this), 1);
+      if (active.length === 0) {
+        stream.write = original;
+        streamInterceptors.delete(stream);
+        interceptedWrites.delete(stream);
+      }
+    });
+    this.originalWrites.clear();
+    return this;
+  }
+}
+
+// ===== PROCESS MANAGER (for signal handling) =====
+// Handlers are installed while at least one bar is active (each holds a
+// cleanup task) and removed again afterwards. On a signal, active bars are
+// cancelled and the terminal restored, then the signal is passed on: the
+// application's own handlers decide what happens next, and without any the
+// signal is raised again so the process ends with the usual status (130 for
+// SIGINT). configure({ handleSignals: false }) leaves signals alone.
+class ProcessManager {
+  constructor(options = {}) {
+    this.cleanupTasks = new Set();
+    this.options = {
+      handleSignals: true,
+      signals: ["SIGINT", "SIGTERM"],
+      ...options,
+    };
+    this.listeners = null;
+  }
+
+  static get shared() {
+    return processManager;
+  }
+
+  get isSetup() {
+    return this.listeners !== null;
+  }
+
+  configure(options = {}) {
+    this.detach();
+    Object.assign(this.options, options);
+    if (this.cleanupTasks.size > 0) this.attach();
+    return this;
+  }
+
+  // Installs the handlers straight away instead of with the first task
+  setup() {
+    this.attach();
+  }
+
+  attach() {
+    if (this.listeners) return;
+
+    this.listeners = { exit: () => this.cleanup() };
+    if (this.options.handleSignals) {
+      this.options.signals.forEach((signal) => {
+        this.listeners[signal] = () => this.handleSignal(signal);
+      });
+    }
+    Object.entries(this.listeners).forEach(([event, listener]) =>
+      process.on(event, listener)
+    );
+  }
+
+  detach() {
+    if (!this.listeners) return;
+
+    Object.entries(this.listeners).forEach(([event, listener]) =>
+      process.off(event, listener)
+    );
+    this.listeners = null;
+  }
+
+  addCleanupTask(task) {
+    this.cleanupTasks.add(task);
+    this.attach();
+    return () => {
+      this.cleanupTasks.delete(task);
+      if (this.cleanupTasks.size === 0) this.detach();
+    };
+  }
+
+  // Tasks receive the signal name, or null when the process exits normally
+  cleanup(signal = null) {
+    [...this.cleanupTasks].forEach((task) => {
+      try {
+        task(signal);
+      } catch (error) {
+        console.error("Cleanup error:", error);
+      }
+    });
+  }
+
+  handleSignal(signal) {
+    this.cleanup(signal);
+    this.detach();
+
+    if (process.listenerCount(signal) === 0) {
+      process.kill(process.pid, signal);
+    }
+  }
+}
+
+// Global process manager instance
+const processManager = new ProcessManager();
+
+// ===== RENDER SCHEDULER =====
+// One render loop shared by every bar. Updates only record the latest
+// progress per renderer; frames draw whatever is pending at most `fps` times
+// per second. An update arriving after a quiet period is drawn at once, and
+// flush() draws immediately for state changes and stops.
+class RenderScheduler {
+  constructor({ fps = 20 } = {}) {
+    this.fps = fps;
+    this.pending = new Map(); // renderer -> latest progress data
+    this.frameTasks = new Set();
+    this.timer = null;
+    this.lastFrameTime = -Infinity;
+    this.inFrame = false;
+  }
+
+  // The loop used by bars that are not given their own
+  static get shared() {
+    return renderScheduler;
+  }
+
+  get frameInterval() {
+    return this.fps > 0 ? 1000 / this.fps : 0;
+  }
+
+  schedule(renderer, progressData) {
+    this.pending.set(renderer, progressData);
+    if (this.timer) return;
+
+    const wait = this.lastFrameTime + this.frameInterval - performance.now();
+    if (wait <= 0) {
+      this.frame();
+    } else {
+      this.wake(wait);
+    }
+  }
+
+  // Draws the renderer's latest progress now (the pending one by default)
+  flush(renderer, progressData = this.pending.get(renderer)) {
+    this.pending.delete(renderer);
+    if (progressData) this.runFrame([[renderer, progressData]]);
+  }
+
+  cancel(renderer) {
+    this.pending.delete(renderer);
+  }
+
+  // Runs `task` once after every renderer in the current frame has drawn, so
+  // renderers sharing a screen area redraw it once; outside a frame it runs
+  // immediately
+  afterFrame(task) {
+    if (this.inFrame) {
+      this.frameTasks.add(task);
+    } else {
+      task();
+    }
+  }
+
+  frame() {
+    const now = performance.now();
+    const due = [];
+    let throttled = Infinity;
+
+    // Renderers with their own updateThrottle wait out the rest of it
+    this.pending.forEach((progressData, renderer) => {
+      const delay = renderer.getThrottleDelay?.(now) ?? 0;
+      if (delay > 0) {
+        throttled = Math.min(throttled, delay);
+      } else {
+        due.push([renderer, progressData]);
+      }
+    });
+    due.forEach(([renderer]) => this.pending.delete(renderer));
+
+    this.lastFrameTime = now;
+    this.runFrame(due);
+
+    if (this.pending.size > 0) {
+      this.wake(Math.max(this.frameInterval, throttled));
+    }
+  }
+
+  runFrame(entries) {
+    this.inFrame = true;
+    try {
+      entries.forEach(([renderer, progressData]) =>
+        renderer.render(progressData)
+      );
+    } finally {
+      this.inFrame = false;
+    }
+
+    const tasks = [...this.frameTasks];
+    this.frameTasks.clear();
+    tasks.forEach((task) => task());
+  }
+
+  wake(delay) {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.frame();
+    }, delay);
+  }
+}
+
+const renderScheduler = new RenderScheduler();
+
+// ===== CHECKPOINTS =====
+// Tracker state saved as JSON so an interrupted job can pick up where it left
+// off. Each save writes a temporary file and renames it over the checkpoint,
+// so a crash mid-write leaves the previous checkpoint intact. Unreadable or
+// malformed checkpoints load as null and the job starts fresh.
+const CHECKPOINT_VERSION = 1;
+
+class ProgressCheckpoint {
+  constructor(path, { interval = 5000, keepOnComplete = false } = {}) {
+    this.path = path;
+    this.interval = interval;
+    this.keepOnComplete = keepOnComplete;
+    this.timer = null;
+  }
+
+  // A path, { path, interval, keepOnComplete } or a ProgressCheckpoint
+  static create(checkpoint) {
+    if (checkpoint instanceof ProgressCheckpoint) return checkpoint;
+    if (typeof checkpoint === "string")
+      return new ProgressCheckpoint(checkpoint);
+    return new ProgressCheckpoint(checkpoint.path, checkpoint);
+  }
+
+  static load(path) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path, "utf8"));
+    } catch {
+      return null;
+    }
+    return ProgressCheckpoint.isValid(data) ? data : null;
+  }
+
+  static isValid(data) {
+    return (
+      data !== null &&
+      typeof data === "object" &&
+      data.version === CHECKPOINT_VERSION &&
+      Number.isFinite(data.total) &&
+      Number.isFinite(data.current) &&
+      data.current >= 0 &&
+      Number.isFinite(data.elapsed) &&
+      data.elapsed >= 0 &&
+      typeof data.payload === "object" &&
+      data.payload !== null &&
+      Array.isArray(data.completed)
+    );
+  }
+
+  save(tracker) {
+    const data = {
+      version: CHECKPOINT_VERSION,
+      savedAt: new Date().toISOString(),
+      ...tracker.toCheckpoint(),
+    };
+    const tempPath = `${this.path}.${process.pid}.tmp`;
+
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, this.path);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+    return data;
+  }
+
+  remove() {
+    fs.rmSync(this.path, { force: true });
+  }
+
+  // Periodic saves; the timer does not keep the process alive
+  start(save) {
+    if (this.timer || !(this.interval > 0)) return;
+    this.timer = setInterval(save, this.interval);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// ===== RUN REPORTS =====
+// Timing figures for one tracker run, from its first activation until it
+// stops or finishes. Throughput is measured over windows of at least
+// `sampleInterval` seconds of active time, so peak and minimum rates are not
+// skewed by single bursty updates; runs shorter than one window report their
+// average for both.
+class ProgressStats {
+  constructor(tracker, { sampleInterval = 1 } = {}) {
+    this.tracker = tracker;
+    this.sampleInterval = sampleInterval;
+    this.reset();
+
+    tracker.addObserver(() => this.sample());
+    tracker.addStateObserver(({ newState }) => this.handleState(newState));
+  }
+
+  reset() {
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.first = null; // Position when the run started
+    this.last = null; // Start of the current sampling window
+    this.final = null; // Position when the run ended
+    this.peak = null;
+    this.min = null;
+  }
+
+  handleState(newState) {
+    if (newState === ProgressState.IDLE) {
+      this.reset();
+      return;
+    }
+
+    if (!this.first) {
+      this.startedAt = Date.now();
+      this.first = this.last = this.snapshot();
+    }
+
+    if (newState === ProgressState.ACTIVE) {
+      // Reopened by a larger total
+      this.finishedAt = null;
+      this.final = null;
+    } else if (
+      newState === ProgressState.STOPPED ||
+      FINAL_STATES.has(newState)
+    ) {
+      this.finishedAt = Date.now();
+      this.final = this.snapshot();
+    }
+  }
+
+  snapshot() {
+    return {
+      elapsed: this.tracker.getElapsed(),
+      current: this.tracker.current,
+    };
+  }
+
+  sample() {
+    if (!this.last || this.final) return;
+
+    const now = this.snapshot();
+    const duration = now.elapsed - this.last.elapsed;
+    if (duration < this.sampleInterval) return;
+
+    const rate = Math.max(0, (now.current - this.last.current) / duration);
+    this.peak = Math.max(this.peak ?? rate, rate);
+    this.min = Math.min(this.min ?? rate, rate);
+    this.last = now;
+  }
+
+  // Durations are in seconds, throughput in units per second of active time
+  getSummary() {
+    const { tracker, first } = this;
+    const end = this.final ?? this.snapshot();
+    const activeTime = first ? end.elapsed - first.elapsed : 0;
+    const duration = this.startedAt
+      ? ((this.finishedAt ?? Date.now()) - this.startedAt) / 1000
+      : 0;
+    const average =
+      activeTime > 0
+        ? Math.max(0, end.current - first.current) / activeTime
+        : 0;
+    const toDate = (time) => (time ? new Date(time).toISOString() : null);
+
+    return {
+      description: tracker.description,
+      state: tracker.state,
+      current: tracker.current,
+      total: tracker.total,
+      startedAt: toDate(this.startedAt),
+      finishedAt: toDate(this.finishedAt),
+      duration,
+      activeTime,
+      pausedTime: Math.max(0, duration - activeTime),
+      throughput: {
+        average,
+        peak: this.peak ?? average,
+        min: this.min ?? average,
+      },
+      error: tracker.error?.message ?? null,
+      reason: tracker.reason?.message ?? tracker.reason ?? null,
+    };
+  }
+}
+
+// Summary of one or more runs (a bar, or every bar of a manager) as an
+// object, a JSON document or a plain text table
+class RunReport {
+  constructor(tasks, { slowest = 5, units = "items", unitOptions = {} } = {}) {
+    this.tasks = tasks;
+    this.slowestCount = slowest;
+    this.units =
+      units instanceof UnitFormatter
+        ? units
+        : new UnitFormatter(units, unitOptions);
+  }
+
+  static formatDuration(seconds) {
+    if (seconds < 60) return `${seconds.toFixed(1)}s`;
+    if (seconds < 3600) {
+      return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+    }
+    return `${Math.floor(seconds / 3600)}h ${Math.floor(
+      (seconds % 3600) / 60
+    )}m`;
+  }
+
+  getCounts() {
+    const count = (state) =>
+      this.tasks.filter((task) => task.state === state).length;
+    const counts = {
+      total: this.tasks.length,
+      completed: count(ProgressState.COMPLETED),
+      failed: count(ProgressState.FAILED),
+      cancelled: count(ProgressState.CANCELLED),
+      stopped: count(ProgressState.STOPPED),
+    };
+    counts.running =
+      counts.total -
+      counts.completed -
+      counts.failed -
+      counts.cancelled -
+      counts.stopped;
+    return counts;
   }
 
-  render(progressData) {
-    const now = performance.now();
+  getFailures() {
+    return this.tasks
+      .filter((task) => task.state === ProgressState.FAILED)
+      .map(({ id, description, error }) => ({ id, description, error }));
+  }
 
-    // Throttle updates if configured
-    if (
-      this.config.updateThrottle > 0 &&
-      now - this.lastRenderTime < this.config.updateThrottle
-    ) {
-      return;
-    }
-    this.lastRenderTime = now;
+  getSlowest(count = this.slowestCount) {
+    return [...this.tasks]
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, count)
+      .map(({ id, description, duration }) => ({ id, description, duration }));
+  }
 
-    const {
-      current,
-      total,
-      percentage,
-      eta,
-      speed,
-      description,
-      isComplete,
-      isIndeterminate,
-      state,
-    } = progressData;
+  // Wall-clock span from the first start to the last finish (or now)
+  getDuration() {
+    const starts = this.tasks
+      .map((task) => Date.parse(task.startedAt))
+      .filter(Number.isFinite);
+    if (starts.length === 0) return 0;
 
-    // Prevent duplicate completion messages
-    if (isComplete && this.hasRenderedCompletion) {
-      return;
-    }
+    const ends = this.tasks.map((task) =>
+      task.finishedAt ? Date.parse(task.finishedAt) : Date.now()
+    );
+    return (Math.max(...ends) - Math.min(...starts)) / 1000;
+  }
 
-    if (this.config.template) {
-      return this.renderTemplate(progressData);
-    }
+  toJSON() {
+    return {
+      duration: this.getDuration(),
+      counts: this.getCounts(),
+      tasks: this.tasks,
+      failures: this.getFailures(),
+      slowest: this.getSlowest(),
+    };
+  }
+
+  formatTable() {
+    const duration = RunReport.formatDuration;
+    const speed = (value) => this.units.formatSpeed(value);
+    const rows = [
+      ["Task", "State", "Progress", "Time", "Paused", "Avg", "Peak", "Min"],
+      ...this.tasks.map((task) => [
+        task.description,
+        task.state,
+        task.total > 0
+          ? this.units.formatRange(task.current, task.total)
+          : this.units.format(task.current),
+        duration(task.duration),
+        duration(task.pausedTime),
+        speed(task.throughput.average),
+        speed(task.throughput.peak),
+        speed(task.throughput.min),
+      ]),
+    ];
+
+    const widths = rows[0].map((_, column) =>
+      Math.max(...rows.map((row) => TextUtils.visibleWidth(row[column])))
+    );
+    const lines = rows.map((row) =>
+      row
+        .map(
+          (cell, column) =>
+            cell + " ".repeat(widths[column] - TextUtils.visibleWidth(cell))
+        )
+        .join("  ")
+        .trimEnd()
+    );
 
-    let output = "";
+    const counts = this.getCounts();
+    const states = ["completed", "failed", "cancelled", "stopped", "running"]
+      .filter((state) => counts[state] > 0)
+      .map((state) => `${counts[state]} ${state}`);
+    const noun = counts.total === 1 ? "task" : "tasks";
+    lines.push(
+      "",
+      `${counts.total} ${noun} in ${duration(
+        this.getDuration()
+      )}: ${states.join(", ")}`
+    );
 
-    if (isIndeterminate) {
-      if (!this.spinner) this.spinner = new Spinner();
-      const spinnerFrame = this.spinner.next();
-      output = `${description}: ${Colors.info(spinnerFrame)} Working...`;
-    } else {
-      const filledLength = Math.floor(
-        (percentage / 100) * this.config.barLength
+    const failures = this.getFailures();
+    if (failures.length > 0) {
+      lines.push("Failures:");
+      failures.forEach(({ description, error }) =>
+        lines.push(`  ${description}: ${error ?? "failed"}`)
       );
-      const emptyLength = this.config.barLength - filledLength;
+    }
 
-      const filledColor = isComplete ? "green" : "cyan";
-      const filledBar = this.config.useColors
-        ? Colors.colorize(
-            this.config.filledChar.repeat(filledLength),
-            filledColor
-          )
-        : this.config.filledChar.repeat(filledLength);
+    if (this.tasks.length > 1 && this.slowestCount > 0) {
+      lines.push("Slowest:");
+      this.getSlowest().forEach((task, index) =>
+        lines.push(
+          `  ${index + 1}. ${task.description} (${duration(task.duration)})`
+        )
+      );
+    }
 
-      const emptyBar = this.config.useColors
-        ? Colors.dim(this.config.emptyChar.repeat(emptyLength))
-        : this.config.emptyChar.repeat(emptyLength);
+    return lines.join("\n");
+  }
 
-      const bar = `[${filledBar}${emptyBar}]`;
+  // format: "table" or "json"
+  print({ format = "table", stream } = {}) {
+    const text = format === "json" ? JSON.stringify(this) : this.formatTable();
+    Terminal.from(stream).writeLine(text);
+  }
+}
 
-      let stats = "";
-      if (this.config.showPercentage) {
-        const pct = this.config.useColors
-          ? Colors.colorize(
-              `${percentage.toFixed(this.config.precision)}%`,
-              "bright"
-            )
-          : `${percentage.toFixed(this.config.precision)}%`;
-        stats += ` ${pct}`;
-      }
+// ===== RECORDING AND REPLAY =====
+// A recorder captures the updates and every state change of the bars
+// attached to it, with timestamps. Like the render loop it keeps at most one
+// progress event per bar every `minInterval` ms, the latest one. With a path
+// the events are written to the file as NDJSON as they happen (a header
+// line, then one event per line) and the file is closed once every attached
+// bar has finished; without one they are kept in memory. ProgressReplay
+// feeds a recording back through any renderer, e.g. to reproduce a rendering
+// bug seen in CI or to snapshot-test a custom renderer. PROGRESS_RECORD=<file>
+// records every bar in the process.
+const RECORDING_VERSION = 1;
+
+// One recorder per PROGRESS_RECORD path, shared by all bars
+const environmentRecorders = new Map();
+
+class ProgressRecorder {
+  constructor({ path = null, minInterval = 0 } = {}) {
+    this.path = path;
+    this.minInterval = minInterval; // 0 records every update
+    this.events = [];
+    this.startTime = performance.now();
+    this.startedAt = new Date().toISOString();
+    this.fd = null;
+    this.hasHeader = false;
+    this.nextId = 1;
+    this.running = new Set(); // Ids of attached bars that have not finished
+    this.lastProgressTimes = new Map(); // id -> time of its last progress event
+    this.pending = new Map(); // id -> { progressData, timer } held back
+  }
 
-      stats += ` (${current}/${total})`;
+  static fromEnv() {
+    const path = process.env.PROGRESS_RECORD;
+    if (!path) return null;
 
-      if (this.config.showSpeed && speed > 0) {
-        stats += ` ${Colors.dim(this.formatSpeed(speed))}`;
-      }
+    if (!environmentRecorders.has(path)) {
+      environmentRecorders.set(path, new ProgressRecorder({ path }));
+    }
+    return environmentRecorders.get(path);
+  }
 
-      if (this.config.showETA && eta > 0) {
-        stats += ` ETA: ${Colors.dim(this.formatTime(eta))}`;
+  // Records a bar or tracker; `id` tells bars apart in a shared recording.
+  // Returns a function that stops recording it.
+  attach(target, id = this.nextId++) {
+    const tracker = target.tracker || target;
+    if (!tracker.isFinished()) this.running.add(id);
+
+    const removeObserver = tracker.addObserver((progressData) =>
+      this.recordProgress(progressData, id)
+    );
+    const removeStateObserver = tracker.addStateObserver(
+      ({ newState, oldState }) => {
+        // The state event carries the latest progress
+        this.dropPending(id);
+        this.record("state", tracker.getProgress(), id, {
+          from: oldState,
+          to: newState,
+        });
+
+        if (!FINAL_STATES.has(newState)) {
+          this.running.add(id);
+        } else if (this.running.delete(id) && this.running.size === 0) {
+          // After the progress event that follows a completing update
+          queueMicrotask(() => {
+            if (this.running.size === 0) this.close();
+          });
+        }
       }
+    );
 
-      output = `${description}: ${bar}${stats}`;
+    return () => {
+      removeObserver();
+      removeStateObserver();
+      this.flushPending(id);
+      this.running.delete(id);
+    };
+  }
+
+  // With a `minInterval`, updates within it of the bar's last progress event
+  // are held back and written when it has passed. Final frames are always
+  // kept.
+  recordProgress(progressData, id) {
+    const now = performance.now();
+    const wait =
+      (this.lastProgressTimes.get(id) ?? -Infinity) + this.minInterval - now;
+
+    if (progressData.isFinished || !(wait > 0)) {
+      this.dropPending(id);
+      this.lastProgressTimes.set(id, now);
+      this.record("progress", progressData, id);
+      return;
     }
 
-    // Clear previous line and write new one
-    if (TerminalUtils.isInteractive) {
-      TerminalUtils.clearLine();
-      process.stdout.write(output);
-
-      if (isComplete && !this.hasRenderedCompletion) {
-        const completedMsg = this.config.useColors
-          ? Colors.success(" ✓ Complete!")
-          : " Complete!";
-        process.stdout.write(completedMsg + "\n");
-        this.hasRenderedCompletion = true;
-      }
-    } else {
-      // Non-interactive mode - only show milestones
-      if (
-        isComplete ||
-        current === 0 ||
-        current % Math.ceil(total / 10) === 0
-      ) {
-        console.log(output);
-      }
+    const pending = this.pending.get(id);
+    if (pending) {
+      pending.progressData = progressData;
+      return;
     }
+    const timer = setTimeout(() => this.flushPending(id), wait);
+    timer.unref?.();
+    this.pending.set(id, { progressData, timer });
+  }
 
-    this.lastLineLength = output.length;
+  flushPending(id) {
+    const pending = this.pending.get(id);
+    if (!pending) return;
+    this.dropPending(id);
+    this.lastProgressTimes.set(id, performance.now());
+    this.record("progress", pending.progressData, id);
   }
 
-  renderTemplate(progressData) {
-    const template = this.config.template;
-    return template.replace(/\{(\w+)\}/g, (match, key) => {
-      return progressData[key] !== undefined ? progressData[key] : match;
-    });
+  dropPending(id) {
+    clearTimeout(this.pending.get(id)?.timer);
+    this.pending.delete(id);
   }
 
-  cleanup() {
-    if (TerminalUtils.isInteractive) {
-      TerminalUtils.showCursor();
+  record(type, progressData, id, details = {}) {
+    const event = {
+      type,
+      id,
+      time: Math.round((performance.now() - this.startTime) * 1000) / 1000,
+      ...details,
+      progress: ProgressRecorder.serialize(progressData),
+    };
+
+    if (this.path) {
+      this.write(event);
+    } else {
+      this.events.push(event);
     }
-    this.hasRenderedCompletion = false;
+    return event;
   }
 
-  reset() {
-    this.hasRenderedCompletion = false;
-    this.lastRenderTime = 0;
+  getHeader() {
+    return {
+      type: "header",
+      version: RECORDING_VERSION,
+      startedAt: this.startedAt,
+    };
   }
-}
 
-class SilentProgressRenderer extends IProgressRenderer {
-  constructor() {
-    super();
-    this.progressHistory = [];
-    this.lastProgress = null;
+  // Opened on the first event; bars that start after close() append
+  write(event) {
+    if (this.fd === null) {
+      this.fd = fs.openSync(this.path, this.hasHeader ? "a" : "w");
+    }
+    if (!this.hasHeader) {
+      fs.writeSync(this.fd, `${JSON.stringify(this.getHeader())}\n`);
+      this.hasHeader = true;
+    }
+    fs.writeSync(this.fd, `${JSON.stringify(event)}\n`);
   }
 
-  render(progressData) {
-    this.lastProgress = { ...progressData };
-    this.progressHistory.push({ ...progressData, timestamp: Date.now() });
+  getEvents() {
+    return this.path ? ProgressRecorder.load(this.path) : [...this.events];
   }
 
-  getLastProgress() {
-    return this.lastProgress;
+  // Writes the events kept in memory as a recording file
+  save(path) {
+    const lines = [this.getHeader(), ...this.events].map((event) =>
+      JSON.stringify(event)
+    );
+    fs.writeFileSync(path, `${lines.join("\n")}\n`);
   }
 
-  getHistory() {
-    return [...this.progressHistory]; // Return copy to prevent external mutation
+  close() {
+    [...this.pending.keys()].forEach((id) => this.flushPending(id));
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
   }
 
-  clear() {
-    this.progressHistory = [];
-    this.lastProgress = null;
+  // Errors and abort reasons become plain objects, see ProgressReplay.revive
+  static serialize(progressData) {
+    const { error, reason, activeChild, ...data } = progressData;
+    return {
+      ...data,
+      error: ProgressRecorder.serializeError(error),
+      reason: ProgressRecorder.serializeError(reason),
+      activeChild: activeChild ? ProgressRecorder.serialize(activeChild) : null,
+    };
   }
 
-  cleanup() {
-    // Silent renderer doesn't need cleanup
+  static serializeError(error) {
+    if (!(error instanceof Error)) return error ?? null;
+    return error.timeout === undefined
+      ? { name: error.name, message: error.message }
+      : { name: error.name, message: error.message, timeout: error.timeout };
   }
 
-  reset() {
-    this.clear();
+  // Events of a recording file; lines that are not events (a truncated last
+  // line, other output mixed into a log) are skipped
+  static load(path) {
+    return fs
+      .readFileSync(path, "utf8")
+      .split("\n")
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      .filter(
+        (event) =>
+          (event?.type === "progress" || event?.type === "state") &&
+          typeof event.progress === "object" &&
+          event.progress !== null
+      );
   }
 }
 
-class MultiProgressRenderer extends IProgressRenderer {
-  constructor(config = {}) {
-    super();
-    this.config = config;
-    this.renderers = new Map();
-    this.lineCount = 0;
+// Plays recorded events into a renderer as render(progressData, id). `speed`
+// divides the recorded gaps between events (Infinity plays without waiting),
+// `maxDelay` caps long idle gaps and `id` keeps only one bar's events.
+class ProgressReplay {
+  constructor(events, { speed = 1, maxDelay = Infinity, id } = {}) {
+    this.events =
+      id === undefined ? events : events.filter((event) => event.id === id);
+    this.speed = speed;
+    this.maxDelay = maxDelay;
+    this.position = 0;
   }
 
-  addProgress(id, renderer) {
-    this.renderers.set(id, renderer);
-    this.lineCount++;
+  static fromFile(path, options = {}) {
+    return new ProgressReplay(ProgressRecorder.load(path), options);
   }
 
-  removeProgress(id) {
-    if (this.renderers.delete(id)) {
-      this.lineCount--;
-    }
+  static revive(data) {
+    return {
+      ...data,
+      error: ProgressReplay.reviveError(data.error),
+      reason: ProgressReplay.reviveError(data.reason),
+      activeChild: data.activeChild
+        ? ProgressReplay.revive(data.activeChild)
+        : null,
+    };
   }
 
-  render(progressData, id) {
-    const renderer = this.renderers.get(id);
-    if (!renderer) return;
-    renderer.render(progressData);
-  }
+  static reviveError(value) {
+    if (value === null || typeof value !== "object") return value ?? null;
+    if (value.name === "TimeoutError") return new TimeoutError(value.timeout);
 
-  cleanup() {
-    this.renderers.forEach((renderer) => renderer.cleanup());
+    const error =
+      value.name === "AbortError"
+        ? new AbortError(value.message)
+        : new Error(value.message);
+    error.name = value.name;
+    return error;
   }
 
-  reset() {
-    this.renderers.forEach((renderer) => {
-      if (renderer.reset) renderer.reset();
-    });
+  get isDone() {
+    return this.position >= this.events.length;
   }
-}
 
-// ===== PROCESS MANAGER (for signal handling) =====
-class ProcessManager {
-  constructor() {
-    this.cleanupTasks = new Set();
-    this.isSetup = false;
+  // Recorded bars, in the order they first appear
+  get ids() {
+    return [...new Set(this.events.map(({ id }) => id))];
   }
 
-  setup() {
-    if (this.isSetup) return;
-
-    const cleanup = () => {
-      this.cleanup();
-      process.exit(0);
-    };
-
-    process.on("SIGINT", cleanup);
-    process.on("SIGTERM", cleanup);
-    process.on("exit", () => this.cleanup());
+  // Renders the next event and returns it, or null once all were played
+  step(renderer) {
+    if (this.isDone) return null;
 
-    this.isSetup = true;
+    const event = this.events[this.position++];
+    renderer.render(ProgressReplay.revive(event.progress), event.id);
+    return event;
   }
 
-  addCleanupTask(task) {
-    this.cleanupTasks.add(task);
-    return () => this.cleanupTasks.delete(task);
+  async play(renderer, { signal } = {}) {
+    while (!this.isDone) {
+      if (signal?.aborted) throw AbortError.from(signal.reason);
+
+      const previous = this.events[this.position - 1];
+      const gap = previous
+        ? this.events[this.position].time - previous.time
+        : 0;
+      const delay = Math.min(gap, this.maxDelay) / this.speed;
+      if (delay > 0) {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        if (signal?.aborted) throw AbortError.from(signal.reason);
+      }
+
+      this.step(renderer);
+    }
+    return this;
   }
 
-  cleanup() {
-    this.cleanupTasks.forEach((task) => {
-      try {
-        task();
-      } catch (error) {
-        console.error("Cleanup error:", error);
-      }
-    });
+  reset() {
+    this.position = 0;
+    return this;
   }
 }
 
-// Global process manager instance
-const processManager = new ProcessManager();
-
 // ===== ENHANCED PROGRESS BAR WITH STATE MANAGEMENT =====
 class ProgressBar {
-  constructor(total, description = "Progress", renderer = null) {
-    this.tracker = new ProgressTracker(total, description);
+  constructor(total, description = "Progress", renderer = null, options = {}) {
+    this.tracker = new ProgressTracker(total, description, options.calculator);
+    this.tracker.estimator = options.estimator || null;
     this.renderer = renderer || this.createDefaultRenderer();
-    this.state = "idle"; // idle, active, completed, stopped
+    this.abortController = null;
+    this.abortReason = null;
+    this.state = ProgressState.IDLE; // Mirrors the tracker, see ProgressState
     this.updateInterval = null;
     this.cleanupFn = null;
-
-    // Setup process management
-    processManager.setup();
+    this.childObserver = null;
+    this.scheduler = options.scheduler || renderScheduler;
+    this.drawnState = null;
+    this.interceptor = options.interceptOutput
+      ? new OutputInterceptor((text, write) => this.printAbove(text, write))
+      : null;
+    this.checkpoint = options.checkpoint
+      ? ProgressCheckpoint.create(options.checkpoint)
+      : null;
+    this.stats = new ProgressStats(this.tracker);
+    this.report = options.report || null; // Printed when a run ends
+    (options.recorder || ProgressRecorder.fromEnv())?.attach(this);
 
     // Listen to tracker state changes
     this.tracker.addStateObserver((stateData) => {
-      if (stateData.newState === "completed") {
-        this.state = "completed";
-      }
+      this.state = stateData.newState;
+      if (this.state === ProgressState.CANCELLED) this.abort();
     });
   }
 
+  // Aborted when the bar is cancelled (Ctrl-C included), so work driving
+  // the bar can stop cooperatively
+  get signal() {
+    if (!this.abortController) {
+      this.abortController = new AbortController();
+      if (this.state === ProgressState.CANCELLED) this.abort();
+    }
+    return this.abortController.signal;
+  }
+
+  // The reason is kept on the bar too, signal.reason needs Node 16.14
+  abort() {
+    if (!this.abortController || this.abortReason) return;
+    this.abortReason = AbortError.from(this.tracker.reason ?? "Cancelled");
+    this.abortController.abort(this.abortReason);
+  }
+
   createDefaultRenderer() {
+    const renderer = createFormatRenderer(process.env.PROGRESS_FORMAT);
+    if (renderer) return renderer;
+
     if (!TerminalUtils.isInteractive) {
-      return new SilentProgressRenderer();
+      return new LogProgressRenderer();
     }
     return new ConsoleProgressRenderer();
   }
 
+  // Cursor control goes to the renderer's stream when it has one
+  getTerminal() {
+    return this.renderer.terminal || TerminalUtils;
+  }
+
   start() {
-    if (this.state !== "idle") return this;
+    if (this.state !== ProgressState.IDLE) return this;
 
-    this.state = "active";
-    this.tracker.setState("active");
-    TerminalUtils.hideCursor();
+    this.tracker.setState(ProgressState.ACTIVE);
+    this.activate();
+    return this;
+  }
 
-    // Register cleanup
-    this.cleanupFn = processManager.addCleanupTask(() => {
-      this.stop();
+  // Claims the terminal and process hooks for an active bar
+  activate() {
+    this.getTerminal().hideCursor();
+
+    // Nothing to protect when output is not redrawn in place
+    if (this.interceptor && this.getTerminal().isInteractive) {
+      this.interceptor.start();
+    }
+
+    // Interrupted bars end as cancelled, so their line says what happened
+    this.cleanupFn = processManager.addCleanupTask((signal) => {
+      if (signal && !this.isFinished()) {
+        this.cancel(`Interrupted by ${signal}`);
+      } else {
+        this.stop();
+      }
       this.renderer.cleanup();
     });
 
-    // For indeterminate progress, start auto-updating
-    if (this.tracker.total <= 0) {
+    this.checkpoint?.start(() => this.saveCheckpoint());
+
+    // Spinners keep animating between updates at the renderer's frame rate.
+    // Renderers without getTickInterval() tick indeterminate bars every 100ms.
+    const isIndeterminate = this.tracker.total <= 0;
+    const interval = this.renderer.getTickInterval
+      ? this.renderer.getTickInterval(isIndeterminate)
+      : isIndeterminate
+      ? DEFAULT_SPINNER_INTERVAL
+      : null;
+    if (interval && !this.updateInterval) {
       this.updateInterval = setInterval(() => {
-        if (this.state === "active") {
-          this.renderer.render(this.tracker.getProgress());
+        if (this.state !== ProgressState.ACTIVE) return;
+
+        // Determinate bars only redraw their last frame, so ticks do not
+        // feed the speed estimate
+        if (this.tracker.total > 0 && this.renderer.tick) {
+          this.renderer.tick();
+        } else {
+          this.draw(this.tracker.getProgress());
         }
-      }, 100);
+      }, interval);
     }
-
-    return this;
   }
 
   stop() {
-    if (this.state === "idle" || this.state === "stopped") return this;
+    if (this.state === ProgressState.IDLE) return this;
 
-    this.state = "stopped";
-    TerminalUtils.showCursor();
+    if (
+      this.state === ProgressState.ACTIVE ||
+      this.state === ProgressState.PAUSED
+    ) {
+      this.tracker.setState(ProgressState.STOPPED);
+    }
 
     if (this.updateInterval) {
       clearInterval(this.updateInterval);
       this.updateInterval = null;
     }
 
+    // A frame still waiting for the render loop is drawn before letting go
+    this.scheduler.flush(this.renderer);
+    this.interceptor?.stop();
+
+    if (this.checkpoint) {
+      this.checkpoint.stop();
+      this.saveCheckpoint();
+    }
+
     if (this.cleanupFn) {
+      this.getTerminal().showCursor();
       this.cleanupFn();
       this.cleanupFn = null;
+      if (this.report) this.printReport();
     }
 
     return this;
   }
 
-  update(increment = 1) {
-    if (this.state === "completed") return this.getProgress();
+  // Duration, time paused and throughput of the current or last run; see
+  // RunReport for the options
+  getReport(options = {}) {
+    return new RunReport([this.stats.getSummary()], {
+      units: this.renderer.units,
+      ...options,
+    });
+  }
+
+  printReport(format = this.report || "table") {
+    this.renderer.renderReport(this.getReport(), format);
+  }
+
+  // Writes the tracker to the checkpoint file; a completed run removes it
+  // unless the checkpoint was created with keepOnComplete
+  saveCheckpoint() {
+    if (!this.checkpoint) return;
+
+    try {
+      if (this.isCompleted() && !this.checkpoint.keepOnComplete) {
+        this.checkpoint.remove();
+      } else {
+        this.checkpoint.save(this.tracker);
+      }
+    } catch (error) {
+      console.error("Checkpoint error:", error);
+    }
+  }
+
+  // Loads this bar's checkpoint file, if there is a usable one, before the
+  // bar starts. Returns whether anything was restored.
+  restoreCheckpoint() {
+    if (!this.checkpoint || this.state !== ProgressState.IDLE) return false;
+
+    const saved = ProgressCheckpoint.load(this.checkpoint.path);
+    if (!saved) return false;
+
+    this.tracker.restore(saved);
+    return true;
+  }
+
+  // Skips ids that are already done, so a resumed job can call this for
+  // every item and only the remaining ones count
+  markTaskDone(taskId, amount = 1, payload = null) {
+    if (!this.tracker.markTaskDone(taskId)) return this.getProgress();
+    return this.update(amount, payload);
+  }
+
+  isTaskDone(taskId) {
+    return this.tracker.isTaskDone(taskId);
+  }
+
+  // Renderers that only show the latest state get updates through the render
+  // loop; everything else, and any change of state, is drawn at once
+  draw(progress) {
+    const isSteady =
+      progress.state === ProgressState.ACTIVE &&
+      this.drawnState === ProgressState.ACTIVE;
+    this.drawnState = progress.state;
+
+    if (isSteady && this.renderer.canSkipFrames) {
+      this.scheduler.schedule(this.renderer, progress);
+    } else {
+      this.scheduler.flush(this.renderer, progress);
+    }
+  }
+
+  // Prints a message above the bar (console.log-style arguments) without
+  // breaking its line
+  log(...args) {
+    const message = formatMessage(...args);
+    if (this.renderer.log) {
+      this.renderer.log(message);
+    } else {
+      console.log(message);
+    }
+  }
+
+  printAbove(text, write) {
+    if (this.renderer.printAbove) {
+      this.renderer.printAbove(() => write(text));
+    } else {
+      write(text);
+    }
+  }
+
+  // update(n) advances by n (negative values roll back), update({ current })
+  // sets an absolute value
+  update(increment = 1, payload = null) {
+    if (this.isFinished()) return this.getProgress();
 
-    if (this.state === "idle") this.start();
+    if (this.state === ProgressState.IDLE) this.start();
 
-    const progress = this.tracker.increment(increment);
-    this.renderer.render(progress);
+    const progress =
+      typeof increment === "object" && increment !== null
+        ? this.tracker.setCurrent(
+            increment.current ?? this.tracker.current,
+            increment.payload ?? payload
+          )
+        : this.tracker.increment(increment, payload);
+    this.draw(progress);
 
-    if (progress.isComplete && this.state !== "completed") {
-      this.state = "completed";
+    if (progress.isFinished) {
       this.stop();
     }
 
     return progress;
   }
 
+  setCurrent(value, payload = null) {
+    return this.update({ current: value }, payload);
+  }
+
   setTotal(total) {
+    const wasFinished = this.isFinished();
     this.tracker.setTotal(total);
+
+    if (wasFinished && !this.isFinished()) {
+      // Reopened by a larger total
+      if (this.renderer.reset) this.renderer.reset();
+      this.activate();
+    }
+
+    if (this.state !== ProgressState.IDLE) {
+      const progress = this.getProgress();
+      this.draw(progress);
+      if (!wasFinished && progress.isFinished) this.stop();
+    }
+    return this;
+  }
+
+  setDescription(description) {
+    this.tracker.setDescription(description);
+    if (
+      this.state === ProgressState.ACTIVE ||
+      this.state === ProgressState.PAUSED
+    ) {
+      this.draw(this.getProgress());
+    }
     return this;
   }
 
+  // Returns a child ProgressTracker; updating it re-renders this bar with
+  // progress derived from all children
+  createChild(weight, total, description) {
+    if (this.state === ProgressState.IDLE) this.start();
+
+    if (!this.childObserver) {
+      this.childObserver = (progress) => {
+        this.draw(progress);
+        if (progress.isFinished) this.stop();
+      };
+      this.tracker.addObserver(this.childObserver);
+      this.tracker.addStateObserver(({ newState }) => {
+        if (FINAL_STATES.has(newState) && this.tracker.children.length > 0) {
+          this.childObserver(this.getProgress());
+        }
+      });
+    }
+
+    return this.tracker.createChild(weight, total, description);
+  }
+
   complete() {
-    if (this.state === "completed") {
+    if (this.state === ProgressState.COMPLETED) {
       return this.getProgress(); // Idempotent - no double rendering
     }
 
-    this.state = "completed";
-    const progress = this.tracker.complete();
-    this.renderer.render(progress);
+    return this.finish(this.tracker.complete());
+  }
+
+  fail(error) {
+    return this.finish(this.tracker.fail(error));
+  }
+
+  cancel(reason) {
+    return this.finish(this.tracker.cancel(reason));
+  }
+
+  finish(progress) {
+    this.draw(progress);
     this.stop();
     return progress;
   }
 
+  pause() {
+    const progress = this.tracker.pause();
+    this.draw(progress);
+    return progress;
+  }
+
+  resume() {
+    const progress = this.tracker.resume();
+    this.draw(progress);
+    return progress;
+  }
+
   getProgress() {
     return this.tracker.getProgress();
   }
 
   reset() {
+    this.stop();
+    this.drawnState = null;
+    this.abortController = null; // The next run gets a fresh signal
+    this.abortReason = null;
     this.tracker.reset();
-    this.state = "idle";
     if (this.renderer.reset) {
       this.renderer.reset();
     }
@@ -724,7 +3994,11 @@ class ProgressBar {
   }
 
   isCompleted() {
-    return this.state === "completed";
+    return this.state === ProgressState.COMPLETED;
+  }
+
+  isFinished() {
+    return this.tracker.isFinished();
   }
 
   getState() {
@@ -759,13 +4033,35 @@ class ProgressBar {
     return new ProgressBar(total, description, renderer);
   }
 
+  // Animated on a terminal; in pipes and CI the frames would only add lines,
+  // so the spinner logs its start and a summary instead
   static createSpinner(description, config = {}) {
-    const renderer = new ConsoleProgressRenderer({
-      ...config,
-      showPercentage: false,
-      showETA: false,
+    const spinnerConfig = { ...config, showPercentage: false, showETA: false };
+    let renderer = new ConsoleProgressRenderer(spinnerConfig);
+    if (!renderer.terminal.isInteractive) {
+      renderer = new LogProgressRenderer(spinnerConfig);
+    }
+    return new ProgressBar(0, description, renderer);
+  }
+
+  // A bar that checkpoints to `checkpointPath` and starts from what was saved
+  // there. `total` and `description` apply only when there is nothing usable
+  // to resume from; `interval` and `keepOnComplete` configure checkpointing.
+  static resume(checkpointPath, options = {}) {
+    const {
+      total = 0,
+      description = "Progress",
+      renderer = null,
+      interval,
+      keepOnComplete,
+      ...barOptions
+    } = options;
+    const bar = new ProgressBar(total, description, renderer, {
+      ...barOptions,
+      checkpoint: { path: checkpointPath, interval, keepOnComplete },
     });
-    return new ProgressBar(0, description, renderer);
+    bar.restoreCheckpoint();
+    return bar;
   }
 }
 
@@ -775,6 +4071,8 @@ class ProgressBarBuilder {
     this.config = {};
     this.total = 100;
     this.description = "Progress";
+    this.estimator = { name: "standard", options: {} };
+    this.checkpoint = null;
   }
 
   withTotal(total) {
@@ -823,6 +4121,20 @@ class ProgressBarBuilder {
     return this;
   }
 
+  // "bytes" ({ standard: "iec" | "si" }) or a custom unit such as "rows"
+  // ({ singular, plural, scale: "si" })
+  withUnits(unit, options = {}) {
+    this.config.units = unit;
+    this.config.unitOptions = options;
+    return this;
+  }
+
+  // true for every payload field, or an array of the field names to show
+  showPayload(show = true) {
+    this.config.showPayload = show;
+    return this;
+  }
+
   withTemplate(template) {
     this.config.template = template;
     return this;
@@ -839,6 +4151,94 @@ class ProgressBarBuilder {
     return this;
   }
 
+  // Plain timestamped lines for CI logs; see LogProgressRenderer for options
+  withLogOutput(options = {}) {
+    return this.withFormat("log", options);
+  }
+
+  // NDJSON events for machine consumers; see JsonProgressRenderer for options
+  withJsonOutput(options = {}) {
+    return this.withFormat("json", options);
+  }
+
+  // "console", "log" or "json"; overrides the PROGRESS_FORMAT env var
+  withFormat(format, options = {}) {
+    this.config = { ...this.config, ...options, format };
+    return this;
+  }
+
+  // "blocks" (default), "smooth", "shades" or "ascii"
+  withBarStyle(style) {
+    this.config.barStyle = style;
+    return this;
+  }
+
+  // "spinner" (default) or "bounce" for bars without a total
+  withIndeterminateStyle(style) {
+    this.config.indeterminateStyle = style;
+    return this;
+  }
+
+  // Routes console output and other stdout/stderr writes above the bar while
+  // it is running, see OutputInterceptor
+  withOutputInterception(enabled = true) {
+    this.config.interceptOutput = enabled;
+    return this;
+  }
+
+  // Prints a RunReport ("table" or "json") when the bar stops or finishes
+  withReport(format = "table") {
+    this.config.report = format;
+    return this;
+  }
+
+  // Captures the bar's updates and state changes, see ProgressRecorder
+  withRecorder(recorder) {
+    this.config.recorder = recorder;
+    return this;
+  }
+
+  // Spinner preset name, frame array or { frames, interval }; `prefix` also
+  // shows it ticking in front of bars with a known total
+  withSpinner(spinner, { prefix = false } = {}) {
+    this.config.spinner = spinner;
+    this.config.showSpinner = prefix;
+    return this;
+  }
+
+  // Preset name ("default", "ascii-only", "high-contrast", "monochrome") or a
+  // partial theme object, see ProgressThemes
+  withTheme(theme) {
+    this.config.theme = theme;
+    return this;
+  }
+
+  // Any writable with write(); isTTY/columns decide cursor control and colors
+  withStream(stream) {
+    this.config.stream = stream;
+    return this;
+  }
+
+  // Renderer options without a dedicated method, e.g. a helper's `config`
+  withConfig(config = {}) {
+    Object.assign(this.config, config);
+    return this;
+  }
+
+  // Accepts a preset name from ProgressEstimators, a calculator class or a
+  // factory function returning a new calculator
+  withEstimator(estimator, options = {}) {
+    this.estimator = { name: estimator, options };
+    return this;
+  }
+
+  // Saves progress to `path` every `interval` ms and when the bar stops;
+  // `resume: true` starts from what is already saved there
+  withCheckpoint(path, { interval, keepOnComplete, resume = false } = {}) {
+    this.checkpoint = { path, interval, keepOnComplete, resume };
+    return this;
+  }
+
   forSpinner() {
     this.total = 0;
     this.config.showPercentage = false;
@@ -853,33 +4253,131 @@ class ProgressBarBuilder {
         ...this.config,
         updateThrottle: this.config.updateThrottle || 100,
       });
-      return new ProgressBar(this.total, this.description, renderer);
+      return this.createProgressBar(renderer);
     }
 
-    const renderer = new ConsoleProgressRenderer(this.config);
-    return new ProgressBar(this.total, this.description, renderer);
+    // Same fallback as ProgressBar.createDefaultRenderer, but for the
+    // configured stream: plain log lines when it can't redraw in place
+    const format = this.config.format || process.env.PROGRESS_FORMAT;
+    const fallback = Terminal.from(this.config.stream).isInteractive
+      ? "console"
+      : "log";
+    const renderer =
+      createFormatRenderer(format || fallback, this.config) ||
+      new ConsoleProgressRenderer(this.config);
+    return this.createProgressBar(renderer);
   }
 
   buildSilent() {
     const renderer = new SilentProgressRenderer();
-    return new ProgressBar(this.total, this.description, renderer);
+    return this.createProgressBar(renderer);
+  }
+
+  createProgressBar(renderer) {
+    // A fresh calculator per bar, estimators keep per-run samples
+    const calculator = ProgressEstimators.create(
+      this.estimator.name,
+      this.estimator.options
+    );
+    const bar = new ProgressBar(this.total, this.description, renderer, {
+      calculator,
+      estimator: this.estimator,
+      interceptOutput: this.config.interceptOutput,
+      report: this.config.report,
+      recorder: this.config.recorder,
+      checkpoint: this.checkpoint,
+    });
+    if (this.checkpoint?.resume) bar.restoreCheckpoint();
+    return bar;
   }
 }
 
 // ===== MULTI-PROGRESS MANAGER =====
 class MultiProgressManager {
-  constructor() {
+  constructor(config = {}) {
+    this.config = config;
+    this.renderer = new MultiProgressRenderer(config);
     this.progressBars = new Map();
-    this.isActive = false;
+    this.interceptor = config.interceptOutput
+      ? new OutputInterceptor((text, write) =>
+          this.renderer.printAbove(() => write(text))
+        )
+      : null;
+    // config.report ("table" or "json") prints a RunReport once all bars end
+    this.renderer.onFinish = () => {
+      if (this.config.report) this.printReport(this.config.report);
+    };
+  }
+
+  // Prints a message above all bars (console.log-style arguments)
+  log(...args) {
+    this.renderer.log(formatMessage(...args));
+  }
+
+  // Per-bar durations, failures and the slowest bars; see RunReport
+  getReport(options = {}) {
+    const tasks = [...this.progressBars].map(([id, progressBar]) => ({
+      id,
+      ...progressBar.stats.getSummary(),
+    }));
+    return new RunReport(tasks, {
+      units: this.config.units,
+      unitOptions: this.config.unitOptions,
+      ...options,
+    });
+  }
+
+  printReport(format = "table") {
+    this.renderer.renderReport(this.getReport(), format);
+  }
+
+  // config.format (or PROGRESS_FORMAT) picks log or JSON rows like the
+  // builder does. JSON rows go to stdout unless a stream was given, with the
+  // row id as event id.
+  createRowRenderer(id, config = {}) {
+    const rowConfig = { ...this.config, ...config };
+    const format = rowConfig.format || process.env.PROGRESS_FORMAT;
+    if (format === "json")
+      return createFormatRenderer(format, { id, ...rowConfig });
+
+    rowConfig.stream = rowConfig.stream || this.renderer.terminal;
+    return (
+      createFormatRenderer(format, rowConfig) ||
+      new ConsoleProgressRenderer(rowConfig)
+    );
+  }
+
+  // Output is intercepted from the first bar until every bar has finished
+  updateInterception() {
+    if (!this.interceptor) return;
+
+    const isRunning = [...this.progressBars.values()].some(
+      (progressBar) => !progressBar.isFinished()
+    );
+    if (isRunning && this.renderer.terminal.isInteractive) {
+      this.interceptor.start();
+    } else {
+      this.interceptor.stop();
+    }
   }
 
   add(id, total, description, config = {}) {
-    const progressBar = new ProgressBarBuilder()
-      .withTotal(total)
-      .withDescription(description)
-      .build();
+    if (this.progressBars.has(id)) {
+      this.remove(id);
+    }
 
+    this.renderer.addProgress(id, this.createRowRenderer(id, config));
+    const progressBar = new ProgressBar(
+      total,
+      description,
+      this.renderer.createRowRenderer(id)
+    );
     this.progressBars.set(id, progressBar);
+    progressBar.onStateChange(() => this.updateInterception());
+    this.updateInterception();
+
+    // Reserve the row straight away so bars keep a stable order on screen
+    this.renderer.render(progressBar.getProgress(), id);
     return progressBar;
   }
 
@@ -892,12 +4390,14 @@ class MultiProgressManager {
     if (progressBar) {
       progressBar.stop();
       this.progressBars.delete(id);
+      this.renderer.removeProgress(id);
+      this.updateInterception();
     }
   }
 
-  update(id, increment = 1) {
+  update(id, increment = 1, payload = null) {
     const progressBar = this.progressBars.get(id);
-    return progressBar ? progressBar.update(increment) : null;
+    return progressBar ? progressBar.update(increment, payload) : null;
   }
 
   complete(id) {
@@ -905,54 +4405,646 @@ class MultiProgressManager {
     return progressBar ? progressBar.complete() : null;
   }
 
+  get isActive() {
+    return [...this.progressBars.values()].some(
+      (progressBar) => !progressBar.isCompleted()
+    );
+  }
+
   clear() {
-    this.progressBars.forEach((progressBar) => progressBar.stop());
+    this.progressBars.forEach((progressBar, id) => {
+      progressBar.stop();
+      this.renderer.removeProgress(id);
+    });
     this.progressBars.clear();
+    this.updateInterception();
+  }
+}
+
+// ===== JSON EVENT CONSUMER =====
+// Turns JsonProgressRenderer events (e.g. a child process's output) back into
+// ProgressBar updates, one bar per event id. createBar may also return a
+// ProgressTracker, such as a child of a hierarchical tracker.
+class JsonProgressConsumer {
+  constructor(options = {}) {
+    this.options = {
+      // Receives the first event for an id, returns the bar to drive
+      createBar: (event) => new ProgressBar(event.total, event.description),
+      onLine: null, // Called with lines that are not progress events
+      onReport: null, // Called with "report" events (a RunReport as JSON)
+      ...options,
+    };
+    this.bars = new Map();
+  }
+
+  // Returns the event, or null for anything that is not a progress event.
+  // Other JSON a child logs, even with a `type` and an `id`, is not one.
+  static parse(line) {
+    const text = String(line).trim();
+    if (!text.startsWith("{")) return null;
+
+    let event;
+    try {
+      event = JSON.parse(text);
+    } catch {
+      return null;
+    }
+    if (!event || event.id === undefined) return null;
+    if (event.type === "report")
+      return Array.isArray(event.tasks) ? event : null;
+    const isProgress = event.type === "progress" || event.type === "state";
+    return isProgress && typeof event.current === "number" ? event : null;
+  }
+
+  // Reads NDJSON from a readable stream; resolves once it ends
+  consume(readable) {
+    readable.setEncoding?.("utf8");
+    let buffer = "";
+
+    return new Promise((resolve, reject) => {
+      readable.on("data", (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        lines.forEach((line) => this.handleLine(line));
+      });
+      readable.on("end", () => {
+        if (buffer) this.handleLine(buffer);
+        resolve(this);
+      });
+      readable.on("error", reject);
+    });
+  }
+
+  handleLine(line) {
+    const event = JsonProgressConsumer.parse(line);
+    if (event) {
+      this.handleEvent(event);
+    } else if (this.options.onLine && line.trim()) {
+      this.options.onLine(line);
+    }
+  }
+
+  handleEvent(event) {
+    if (event.type === "report") {
+      this.options.onReport?.(event);
+      return null;
+    }
+
+    let bar = this.bars.get(event.id);
+    if (!bar) {
+      bar = this.options.createBar(event);
+      this.bars.set(event.id, bar);
+    }
+    if (bar.isFinished()) return bar;
+
+    const tracker = bar.tracker ?? bar;
+    if (event.total !== undefined && event.total !== tracker.total) {
+      bar.setTotal(event.total);
+    }
+    if (event.description && event.description !== tracker.description) {
+      bar.setDescription(event.description);
+    }
+    if (
+      bar.getState() === ProgressState.IDLE &&
+      event.state !== ProgressState.IDLE
+    ) {
+      if (bar.start) bar.start();
+      else bar.setState(ProgressState.ACTIVE);
+    }
+    if (
+      event.state === ProgressState.ACTIVE &&
+      bar.getState() === ProgressState.PAUSED
+    ) {
+      bar.resume();
+    }
+
+    if (event.state === ProgressState.COMPLETED) {
+      if (event.payload) tracker.setPayload(event.payload);
+      bar.complete();
+      return bar;
+    }
+
+    bar.setCurrent(event.current, event.payload);
+    if (bar.isFinished()) return bar;
+
+    if (event.state === ProgressState.FAILED) {
+      bar.fail(new Error(event.error || "Failed"));
+    } else if (event.state === ProgressState.CANCELLED) {
+      bar.cancel(event.reason ?? null);
+    } else if (
+      event.state === ProgressState.PAUSED &&
+      bar.getState() === ProgressState.ACTIVE
+    ) {
+      bar.pause();
+    }
+    return bar;
+  }
+
+  get(id) {
+    return this.bars.get(id);
+  }
+}
+
+// ===== CROSS-PROCESS REPORTING =====
+// Marks progress messages among other traffic on the same IPC channel
+const PROGRESS_MESSAGE = "progress-event";
+
+// Sends a message over a child_process IPC channel (process.send) or a
+// worker_threads MessagePort/parentPort (postMessage)
+function createSender(channel) {
+  if (typeof channel.postMessage === "function") {
+    return (message) => channel.postMessage(message);
+  }
+  if (typeof channel.send === "function") {
+    return (message) => channel.send(message);
+  }
+  throw new Error("Channel must provide postMessage() or send()");
+}
+
+// Child side: forwards tracker updates and state changes to the parent as
+// JsonProgressRenderer events
+class ProgressReporter {
+  constructor(channel = process, options = {}) {
+    this.send = createSender(channel);
+    this.options = { minInterval: 100, ...options };
+  }
+
+  // Returns a function that stops forwarding
+  track(tracker, id = tracker.description) {
+    let lastEmitTime = 0;
+    let pending = null; // Latest update held back by minInterval
+    let timer = null;
+
+    const send = (type, progress) => {
+      clearTimeout(timer);
+      timer = null;
+      pending = null;
+      lastEmitTime = performance.now();
+      this.send({
+        kind: PROGRESS_MESSAGE,
+        event: JsonProgressRenderer.createEvent(type, id, progress),
+      });
+    };
+    const flush = () => {
+      if (pending) send("progress", pending);
+    };
+    // As in JsonProgressRenderer, the last update of a burst follows once
+    // minInterval has passed, so the parent does not show stale progress
+    const forward = (type, progress) => {
+      const wait = lastEmitTime + this.options.minInterval - performance.now();
+      if (type === "progress" && wait > 0) {
+        pending = progress;
+        if (!timer) {
+          timer = setTimeout(flush, wait);
+          timer.unref?.();
+        }
+        return;
+      }
+      send(type, progress);
+    };
+
+    const removeObserver = tracker.addObserver((progress) =>
+      forward("progress", progress)
+    );
+    const removeStateObserver = tracker.addStateObserver(() =>
+      forward("state", tracker.getProgress())
+    );
+    return () => {
+      removeObserver();
+      removeStateObserver();
+      flush();
+    };
+  }
+
+  createTracker(total, description, id = description) {
+    const tracker = new ProgressTracker(total, description);
+    this.track(tracker, id);
+    return tracker;
+  }
+}
+
+// Parent side: maps each remote tracker to a bar in a MultiProgressManager
+// (or a child of a hierarchical tracker) and fails its bars if the worker
+// dies before finishing them
+class ProgressReceiver extends JsonProgressConsumer {
+  constructor(options = {}) {
+    super({
+      createBar: ProgressReceiver.createBarFactory(options),
+      ...options,
+    });
+    this.sourceCount = 0;
+  }
+
+  static createBarFactory({ manager, parent, weight = 1 }) {
+    if (manager) {
+      return (event) => manager.add(event.id, event.total, event.description);
+    }
+    if (parent) {
+      return (event) =>
+        parent.createChild(
+          typeof weight === "function" ? weight(event) : weight,
+          event.total,
+          event.description
+        );
+    }
+    return (event) => new ProgressBar(event.total, event.description);
+  }
+
+  // Listens to a ChildProcess, Worker or MessagePort. Bars are keyed
+  // "<name>:<id>"; resolves once the source exits or closes.
+  attach(source, { name = `worker-${++this.sourceCount}` } = {}) {
+    const keys = new Set();
+    // Child processes emit "close" after "exit", once IPC and stdio drain
+    const waitsForClose = typeof source.kill === "function";
+    let crashError = null;
+    let exitStatus = null;
+    let finished = false;
+
+    return new Promise((resolve) => {
+      const onMessage = (message) => {
+        if (message?.kind !== PROGRESS_MESSAGE) {
+          this.options.onMessage?.(message);
+          return;
+        }
+        const key = `${name}:${message.event.id}`;
+        keys.add(key);
+        this.handleEvent({ ...message.event, id: key });
+      };
+      const onError = (error) => {
+        crashError = error;
+      };
+      const finish = ({ code, signal } = {}) => {
+        if (finished) return;
+        finished = true;
+
+        const error =
+          crashError ||
+          new Error(
+            signal
+              ? `${name} was killed by ${signal}`
+              : code
+              ? `${name} exited with code ${code}`
+              : `${name} exited before finishing`
+          );
+        // Let messages already queued by the worker arrive first
+        setImmediate(() => {
+          source.off("message", onMessage);
+          source.off("error", onError);
+          source.off("exit", onExit);
+          source.off("close", onClose);
+          this.failUnfinished(keys, error);
+          resolve(this);
+        });
+      };
+      const onExit = (code, signal) => {
+        exitStatus = { code, signal };
+        if (!waitsForClose) finish(exitStatus);
+      };
+      const onClose = (code, signal) => finish(exitStatus ?? { code, signal });
+
+      source.on("message", onMessage);
+      source.on("error", onError);
+      source.on("exit", onExit);
+      source.on("close", onClose);
+    });
+  }
+
+  failUnfinished(keys, error) {
+    keys.forEach((key) => {
+      const bar = this.bars.get(key);
+      if (bar && !bar.isFinished()) bar.fail(error);
+    });
+  }
+}
+
+// ===== TASK RUNNER =====
+// Runs named async jobs with a concurrency limit, showing an overall bar plus
+// one row per in-flight task. Always resolves with a report; with failFast no
+// new tasks start after the first permanent failure and the rest are skipped.
+class TaskRunner {
+  constructor(options = {}) {
+    this.options = {
+      concurrency: 4,
+      retries: 0,
+      retryDelay: 500,
+      backoffFactor: 2,
+      failFast: false,
+      description: "Tasks",
+      ...options,
+    };
+    this.manager =
+      this.options.manager ||
+      new MultiProgressManager({
+        ...this.options.config,
+        showSummary: false,
+      });
+    this.stopping = false;
+  }
+
+  static normalizeTask(task, index) {
+    if (typeof task === "function") {
+      return { name: task.name || `task-${index + 1}`, run: task };
+    }
+    return { name: `task-${index + 1}`, ...task };
+  }
+
+  async run(tasks) {
+    const queue = tasks.map((task, index) =>
+      TaskRunner.normalizeTask(task, index)
+    );
+    const results = new Array(queue.length);
+    const startTime = performance.now();
+
+    this.stopping = false;
+    this.failedIds = [];
+    this.overall = this.manager.add(
+      "__overall__",
+      queue.length,
+      this.options.description
+    );
+    this.overall.start();
+
+    let next = 0;
+    const worker = async () => {
+      while (next < queue.length && !this.stopping) {
+        const index = next++;
+        results[index] = await this.runTask(queue[index], index);
+      }
+    };
+
+    const workerCount = Math.max(
+      1,
+      Math.min(this.options.concurrency, queue.length)
+    );
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    queue.forEach((task, index) => {
+      if (!results[index]) {
+        results[index] = {
+          name: task.name,
+          status: "skipped",
+          attempts: 0,
+          duration: 0,
+        };
+      }
+    });
+
+    const report = TaskRunner.createReport(
+      results,
+      performance.now() - startTime
+    );
+    this.finishOverall(report);
+    return report;
+  }
+
+  async runTask(task, index) {
+    const id = `task-${index}`;
+    const maxAttempts = 1 + (task.retries ?? this.options.retries);
+    const progressBar = this.manager.add(id, task.total ?? 0, task.name);
+    const startTime = performance.now();
+    let lastError = null;
+    let attempts = 0;
+
+    progressBar.start();
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      attempts = attempt;
+      try {
+        const value = await task.run({
+          name: task.name,
+          attempt,
+          progressBar,
+          signal: progressBar.signal,
+          update: (increment = 1, payload = null) =>
+            progressBar.update(increment, payload),
+        });
+
+        if (!progressBar.isFinished()) progressBar.complete();
+        return this.settle(id, {
+          name: task.name,
+          status: "fulfilled",
+          value,
+          attempts: attempt,
+          duration: performance.now() - startTime,
+        });
+      } catch (error) {
+        lastError = error;
+        // An interrupted run starts no retries and no further tasks
+        if (progressBar.signal.aborted) this.stopping = true;
+        if (attempt === maxAttempts || this.stopping) break;
+
+        // Exponential backoff before the next attempt
+        progressBar.setDescription(
+          `${task.name} (retry ${attempt}/${maxAttempts - 1})`
+        );
+        progressBar.update({ current: 0 });
+        await sleep(
+          this.options.retryDelay *
+            Math.pow(this.options.backoffFactor, attempt - 1)
+        );
+      }
+    }
+
+    if (!progressBar.isFinished()) progressBar.fail(lastError);
+    if (this.options.failFast) this.stopping = true;
+
+    return this.settle(id, {
+      name: task.name,
+      status: "rejected",
+      error: lastError,
+      attempts,
+      duration: performance.now() - startTime,
+    });
+  }
+
+  // Finished rows make room for the next task; failed ones stay on screen
+  // until the run is over
+  settle(id, result) {
+    // The overall bar only reaches 100% when every task succeeded
+    if (result.status === "fulfilled") {
+      this.manager.remove(id);
+      this.overall.update(1);
+    } else {
+      this.failedIds.push(id);
+    }
+    return result;
+  }
+
+  finishOverall(report) {
+    if (report.ok) {
+      if (!this.overall.isFinished()) this.overall.complete();
+    } else {
+      const message = `${report.failed} failed, ${report.skipped} skipped`;
+      if (!this.overall.isFinished()) this.overall.fail(new Error(message));
+    }
+    this.manager.remove("__overall__");
+    this.failedIds.forEach((id) => this.manager.remove(id));
+  }
+
+  static createReport(results, duration) {
+    const count = (status) =>
+      results.filter((result) => result.status === status).length;
+
+    const failed = count("rejected");
+    const skipped = count("skipped");
+
+    return {
+      ok: failed === 0 && skipped === 0,
+      total: results.length,
+      succeeded: count("fulfilled"),
+      failed,
+      skipped,
+      duration,
+      results,
+    };
   }
 }
 
 // ===== ENHANCED CLI INTEGRATION UTILITIES =====
 class CLIProgressHelper {
+  static runTasks(tasks, options = {}) {
+    return new TaskRunner(options).run(tasks);
+  }
+
+  // Pass-through Transform that counts bytes (or objects in object mode) and
+  // drives a progress bar. Without a total the bar falls back to a spinner.
+  static trackStream(readable, options = {}) {
+    const objectMode =
+      options.objectMode ?? readable.readableObjectMode ?? false;
+    const progressBar =
+      options.progressBar ||
+      new ProgressBarBuilder()
+        .withTotal(options.total || 0)
+        .withDescription(options.description || "Streaming")
+        .withUnits(objectMode ? "items" : "bytes")
+        .build();
+
+    const tracker = new Transform({
+      objectMode,
+      transform(chunk, encoding, callback) {
+        progressBar.update(objectMode ? 1 : chunk.length);
+        callback(null, chunk);
+      },
+      flush(callback) {
+        if (!progressBar.isFinished()) progressBar.complete();
+        callback();
+      },
+      destroy(error, callback) {
+        // Runs after a normal end too, by then the bar is already complete
+        if (!progressBar.isFinished()) {
+          if (error) {
+            progressBar.fail(error);
+          } else {
+            progressBar.cancel("Stream destroyed before end");
+            readable.unpipe(tracker);
+            readable.destroy?.();
+          }
+        }
+        callback(error);
+      },
+    });
+
+    readable.once("error", (error) => tracker.destroy(error));
+    tracker.progressBar = progressBar;
+
+    progressBar.start();
+    readable.pipe(tracker);
+    return tracker;
+  }
+
+  // Yields the items of an (async) iterable while advancing a progress bar
+  // once per item. Breaking out early cancels the bar, a throw fails it.
+  static async *trackIterable(iterable, options = {}) {
+    const total =
+      options.total ??
+      (Array.isArray(iterable) ? iterable.length : iterable.size ?? 0);
+    const progressBar =
+      options.progressBar ||
+      new ProgressBarBuilder()
+        .withTotal(total)
+        .withDescription(options.description || "Processing")
+        .build();
+
+    progressBar.start();
+
+    try {
+      for await (const item of iterable) {
+        yield item;
+        progressBar.update(1);
+      }
+
+      if (!progressBar.isFinished()) progressBar.complete();
+    } catch (error) {
+      if (!progressBar.isFinished()) progressBar.fail(error);
+      throw error;
+    } finally {
+      // Consumer called return() or broke out of its loop
+      if (!progressBar.isFinished()) {
+        progressBar.cancel("Iteration stopped early");
+      }
+    }
+  }
+
+  // `config` holds renderer options for the bar plus `signal` (an
+  // AbortSignal) and `timeout` (ms). The task gets a signal that aborts on
+  // either, or when the bar is interrupted; the bar is then cancelled and the
+  // helper rejects with an AbortError (TimeoutError for the timeout).
   static async withProgress(total, description, asyncTask, config = {}) {
+    const { signal, timeout, ...barConfig } = config;
     const progressBar = new ProgressBarBuilder()
       .withTotal(total)
       .withDescription(description)
+      .withConfig(barConfig)
       .build();
 
     progressBar.start();
 
     try {
-      const result = await asyncTask((increment = 1) => {
-        progressBar.update(increment);
-      });
+      const result = await CLIProgressHelper.runAbortable(
+        progressBar,
+        (taskSignal) =>
+          asyncTask(
+            (increment = 1, payload = null) => {
+              progressBar.update(increment, payload);
+            },
+            { signal: taskSignal, progressBar }
+          ),
+        { signal, timeout }
+      );
 
-      // Only complete if not already completed (prevents double rendering)
-      if (!progressBar.isCompleted()) {
+      // Only complete if not already finished (prevents double rendering)
+      if (!progressBar.isFinished()) {
         progressBar.complete();
       }
 
       return result;
     } catch (error) {
-      progressBar.stop();
-      console.error(
-        Colors.error(`\n✗ ${description} failed: ${error.message}`)
-      );
+      // The renderer reports the failure on the bar's final line
+      if (!progressBar.isFinished()) {
+        progressBar.fail(error);
+      }
       throw error;
     }
   }
 
-  static async withSpinner(description, asyncTask) {
-    const spinner = ProgressBar.createSpinner(description);
+  static async withSpinner(description, asyncTask, config = {}) {
+    const { signal, timeout, ...barConfig } = config;
+    const spinner = ProgressBar.createSpinner(description, barConfig);
     spinner.start();
 
     try {
-      const result = await asyncTask();
-      spinner.stop();
-      console.log(Colors.success(`✓ ${description} completed`));
+      const result = await CLIProgressHelper.runAbortable(
+        spinner,
+        (taskSignal) => asyncTask({ signal: taskSignal }),
+        { signal, timeout }
+      );
+      if (!spinner.isFinished()) spinner.complete();
       return result;
     } catch (error) {
-      spinner.stop();
-      console.error(Colors.error(`✗ ${description} failed: ${error.message}`));
+      if (!spinner.isFinished()) {
+        spinner.fail(error);
+      }
       throw error;
     }
   }
@@ -963,9 +5055,11 @@ class CLIProgressHelper {
     asyncTask,
     config = {}
   ) {
+    const { signal, timeout, ...barConfig } = config;
     const progressBar = new ProgressBarBuilder()
       .withTotal(total)
       .withDescription(description)
+      .withConfig(barConfig)
       .build();
 
     const stateHistory = [];
@@ -981,25 +5075,82 @@ class CLIProgressHelper {
     progressBar.start();
 
     try {
-      const result = await asyncTask((increment = 1) => {
-        progressBar.update(increment);
-      });
+      const result = await CLIProgressHelper.runAbortable(
+        progressBar,
+        (taskSignal) =>
+          asyncTask(
+            (increment = 1, payload = null) => {
+              progressBar.update(increment, payload);
+            },
+            { signal: taskSignal, progressBar }
+          ),
+        { signal, timeout }
+      );
 
-      if (!progressBar.isCompleted()) {
+      if (!progressBar.isFinished()) {
         progressBar.complete();
       }
 
       unsubscribeState();
       return { result, stateHistory };
     } catch (error) {
-      progressBar.stop();
+      if (!progressBar.isFinished()) {
+        progressBar.fail(error);
+      }
       unsubscribeState();
-      console.error(
-        Colors.error(`\n✗ ${description} failed: ${error.message}`)
-      );
       throw error;
     }
   }
+
+  // Runs task(signal) and settles with it, unless the caller's signal, the
+  // timeout or the bar's own signal aborts first. Then the bar is cancelled
+  // with the reason and the returned promise rejects with it, whether or
+  // not the task stops.
+  static async runAbortable(progressBar, task, { signal, timeout } = {}) {
+    const controller = new AbortController();
+    let abortReason = null; // Not read back from signal.reason (Node 16.14+)
+    const abort = (error) => {
+      if (abortReason) return;
+      abortReason = error;
+      controller.abort(error);
+    };
+
+    const sources = [
+      [signal, () => signal.reason],
+      [progressBar.signal, () => progressBar.abortReason],
+    ].filter(([source]) => source);
+    const listeners = sources.map(([source, reasonOf]) => {
+      const listener = () => abort(AbortError.from(reasonOf()));
+      source.addEventListener("abort", listener, { once: true });
+      return () => source.removeEventListener("abort", listener);
+    });
+    const timer =
+      timeout > 0
+        ? setTimeout(() => abort(new TimeoutError(timeout)), timeout)
+        : null;
+
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener("abort", () => reject(abortReason), {
+        once: true,
+      });
+    });
+    // An already aborted signal never runs the task
+    if (signal?.aborted) abort(AbortError.from(signal.reason));
+
+    try {
+      if (abortReason) throw abortReason;
+      return await Promise.race([task(controller.signal), aborted]);
+    } catch (error) {
+      if (!abortReason) throw error;
+
+      if (!progressBar.isFinished()) progressBar.cancel(abortReason);
+      throw abortReason;
+    } finally {
+      clearTimeout(timer);
+      listeners.forEach((unsubscribe) => unsubscribe());
+      aborted.catch(() => {}); // Settled by the race, or never
+    }
+  }
 }
 
 // ===== DEMONSTRATION & EXAMPLES =====
@@ -1066,6 +5217,14 @@ async function demonstrateProgressBars() {
   console.log("Result:", result);
   console.log("State changes:", stateHistory.length);
 
+  console.log(Colors.info("\n7. Multiple Concurrent Progress Bars:"));
+  const manager = new MultiProgressManager({ barLength: 30 });
+  await Promise.all([
+    simulateWork(manager.add("assets", 40, "Downloading assets"), 40, 40),
+    simulateWork(manager.add("deps", 60, "Installing deps   "), 60, 30),
+    simulateWork(manager.add("build", 30, "Building bundle   "), 30, 60),
+  ]);
+
   console.log(Colors.success("\n✓ All demonstrations completed!"));
 }
 
@@ -1106,14 +5265,40 @@ export {
   ProgressBar,
   ProgressTracker,
   ConsoleProgressRenderer,
+  LogProgressRenderer,
+  JsonProgressRenderer,
   SilentProgressRenderer,
   MultiProgressRenderer,
   ProgressBarBuilder,
   MultiProgressManager,
+  JsonProgressConsumer,
+  ProgressReporter,
+  ProgressReceiver,
+  TaskRunner,
   CLIProgressHelper,
   Colors,
   TerminalUtils,
+  Terminal,
+  OutputInterceptor,
+  RenderScheduler,
+  ProgressCheckpoint,
+  ProgressStats,
+  RunReport,
+  ProgressRecorder,
+  ProgressReplay,
+  TextUtils,
   Spinner,
+  ProgressTemplate,
+  UnitFormatter,
+  ProgressThemes,
   StandardProgressCalculator,
+  SlidingWindowCalculator,
+  EwmaCalculator,
+  LinearRegressionCalculator,
+  ProgressEstimators,
   ProcessManager,
+  ProgressState,
+  StateTransitionError,
+  AbortError,
+  TimeoutError,
 };
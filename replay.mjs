@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Progress recording replay
+ *
+ * Plays a recording made with ProgressRecorder (or PROGRESS_RECORD=<file>)
+ * back through a renderer. Usage:
+ *   node replay.mjs <recording> [--speed <n>] [--step] [--id <id>]
+ *                   [--format console|log|json]
+ * --speed 4 plays four times faster, --speed 0 without waiting; --step draws
+ * one event per Enter key. Recordings of several bars get one row per bar.
+ */
+
+import readline from "readline";
+import {
+  ProgressReplay,
+  MultiProgressRenderer,
+  ConsoleProgressRenderer,
+  LogProgressRenderer,
+  JsonProgressRenderer,
+} from "./main.mjs";
+
+function parseArgs(args) {
+  const options = { speed: 1, step: false, id: undefined, format: "console" };
+  const files = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--step") options.step = true;
+    else if (arg === "--speed") options.speed = Number(args[++i]);
+    else if (arg === "--id") options.id = args[++i];
+    else if (arg === "--format") options.format = args[++i];
+    else files.push(arg);
+  }
+
+  return { file: files[0], ...options };
+}
+
+function createBarRenderer(format) {
+  if (format === "log") return new LogProgressRenderer();
+  if (format === "json") return new JsonProgressRenderer();
+  return new ConsoleProgressRenderer();
+}
+
+// Several bars share the screen as rows of a MultiProgressRenderer; log and
+// JSON output only needs one renderer per bar, each keeping its own state
+function createRenderer(format, ids) {
+  if (ids.length <= 1) return createBarRenderer(format);
+
+  if (format !== "log" && format !== "json") {
+    const renderer = new MultiProgressRenderer();
+    ids.forEach((id) => renderer.addProgress(id));
+    return renderer;
+  }
+
+  const renderers = new Map(ids.map((id) => [id, createBarRenderer(format)]));
+  return {
+    render: (progressData, id) => renderers.get(id).render(progressData),
+    cleanup: () => renderers.forEach((renderer) => renderer.cleanup()),
+  };
+}
+
+// Ids are numbers unless the recorder was given names
+const parseId = (id) =>
+  id === undefined || Number.isNaN(Number(id)) ? id : Number(id);
+
+const { file, speed, step, id, format } = parseArgs(process.argv.slice(2));
+if (!file || !(speed >= 0)) {
+  console.error(
+    "Usage: node replay.mjs <recording> [--speed <n>] [--step] [--id <id>] [--format console|log|json]"
+  );
+  process.exit(1);
+}
+
+const replay = ProgressReplay.fromFile(file, {
+  speed: speed === 0 ? Infinity : speed,
+  id: parseId(id),
+});
+if (replay.events.length === 0) {
+  console.error(`No progress events in ${file}`);
+  process.exit(1);
+}
+
+const renderer = createRenderer(format, replay.ids);
+
+if (step) {
+  const input = readline.createInterface({ input: process.stdin });
+  replay.step(renderer);
+  input.on("line", () => {
+    if (!replay.step(renderer)) input.close();
+  });
+  input.on("close", () => renderer.cleanup());
+} else {
+  await replay.play(renderer);
+  renderer.cleanup();
+}
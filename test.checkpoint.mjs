@@ -0,0 +1,189 @@
+import {
+  ProgressBar,
+  ProgressBarBuilder,
+  ProgressCheckpoint,
+  SilentProgressRenderer,
+} from "./main.mjs";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { sleep } from "./testing.mjs";
+import assert from "assert";
+
+const directory = fs.mkdtempSync(
+  path.join(os.tmpdir(), "progress-checkpoint-")
+);
+const checkpointPath = (name) => path.join(directory, `${name}.json`);
+
+const readCheckpoint = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+
+const createBar = (total, file, options = {}) =>
+  new ProgressBar(total, "Import", new SilentProgressRenderer(), {
+    checkpoint: { path: file, ...options },
+  });
+
+class CheckpointTest {
+  static testSavesAtomicallyOnStop() {
+    const file = checkpointPath("stop");
+    const bar = createBar(10, file);
+    bar.update(3, { file: "c.csv" });
+    bar.stop();
+
+    const saved = readCheckpoint(file);
+    assert.equal(saved.version, 1);
+    assert.equal(saved.current, 3);
+    assert.equal(saved.total, 10);
+    assert.equal(saved.state, "stopped");
+    assert.deepEqual(saved.payload, { file: "c.csv" });
+
+    // Only the renamed file is left behind
+    assert.deepEqual(
+      fs.readdirSync(directory).filter((name) => name.startsWith("stop")),
+      ["stop.json"]
+    );
+
+    console.log("✓ Checkpoint on stop test passed");
+  }
+
+  static testResumeRestoresTracker() {
+    const file = checkpointPath("resume");
+    const bar = createBar(5, file);
+    ["a.csv", "b.csv"].forEach((name) =>
+      bar.markTaskDone(name, 1, { file: name })
+    );
+    bar.cancel("Interrupted by SIGINT");
+
+    const resumed = ProgressBar.resume(file, {
+      renderer: new SilentProgressRenderer(),
+    });
+    const progress = resumed.getProgress();
+    assert.equal(progress.current, 2);
+    assert.equal(progress.total, 5);
+    assert.equal(progress.description, "Import");
+    assert.deepEqual(progress.payload, { file: "b.csv" });
+    assert.equal(resumed.getState(), "idle");
+
+    // Work done before the interruption is skipped
+    assert.ok(resumed.isTaskDone("a.csv"));
+    resumed.markTaskDone("a.csv");
+    assert.equal(resumed.getProgress().current, 2);
+    resumed.markTaskDone("c.csv");
+    assert.equal(resumed.getProgress().current, 3);
+
+    // A finished run removes its checkpoint so the next one starts over
+    resumed.update(2);
+    assert.ok(resumed.isCompleted());
+    assert.equal(fs.existsSync(file), false);
+
+    console.log("✓ Resume test passed");
+  }
+
+  static async testEtaUsesPostResumeThroughput() {
+    const file = checkpointPath("eta");
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        version: 1,
+        description: "Backfill",
+        total: 1000,
+        current: 900,
+        elapsed: 10,
+        state: "cancelled",
+        payload: {},
+        completed: [],
+      })
+    );
+
+    const bar = ProgressBar.resume(file, {
+      renderer: new SilentProgressRenderer(),
+    });
+    bar.start();
+    await sleep(100);
+    const progress = bar.update(10);
+
+    // 10 items in ~0.1s, not 910; elapsed carries on from the checkpoint
+    assert.ok(progress.speed > 5 && progress.speed < 500, progress.speed);
+    assert.ok(progress.eta > 0.5, progress.eta);
+    assert.ok(progress.elapsed >= 10.1, progress.elapsed);
+
+    bar.stop();
+    assert.ok(readCheckpoint(file).elapsed >= 10.1);
+
+    console.log("✓ Post-resume ETA test passed");
+  }
+
+  static testCorruptCheckpointStartsFresh() {
+    const file = checkpointPath("corrupt");
+    const resumeFresh = () =>
+      ProgressBar.resume(file, {
+        total: 50,
+        description: "Fresh",
+        renderer: new SilentProgressRenderer(),
+      }).getProgress();
+
+    for (const contents of [
+      '{"version":1,"current":4',
+      JSON.stringify({ version: 1, current: "4", total: 50 }),
+      JSON.stringify({ version: 99, current: 4, total: 50, elapsed: 1 }),
+      "",
+    ]) {
+      fs.writeFileSync(file, contents);
+      assert.equal(ProgressCheckpoint.load(file), null);
+
+      const progress = resumeFresh();
+      assert.equal(progress.current, 0);
+      assert.equal(progress.total, 50);
+      assert.equal(progress.description, "Fresh");
+    }
+
+    fs.rmSync(file);
+    assert.equal(resumeFresh().current, 0);
+
+    console.log("✓ Corrupt checkpoint test passed");
+  }
+
+  static async testSavesOnIntervalAndSignal() {
+    const file = checkpointPath("interval");
+    const bar = new ProgressBarBuilder()
+      .withTotal(100)
+      .withDescription("Sync")
+      .withCheckpoint(file, { interval: 20 })
+      .buildSilent();
+    bar.update(7);
+
+    await sleep(80);
+    assert.equal(readCheckpoint(file).current, 7);
+    assert.equal(readCheckpoint(file).state, "active");
+
+    // An interrupt cancels the bar and saves where it got to
+    const appHandler = () => {};
+    process.on("SIGINT", appHandler);
+    bar.update(5);
+    process.emit("SIGINT", "SIGINT");
+    process.off("SIGINT", appHandler);
+
+    const saved = readCheckpoint(file);
+    assert.equal(saved.current, 12);
+    assert.equal(saved.state, "cancelled");
+    assert.equal(bar.checkpoint.timer, null);
+
+    const resumed = new ProgressBarBuilder()
+      .withCheckpoint(file, { resume: true })
+      .buildSilent();
+    assert.equal(resumed.getProgress().current, 12);
+    assert.equal(resumed.getProgress().total, 100);
+
+    console.log("✓ Interval and signal checkpoint test passed");
+  }
+}
+
+// Run tests
+try {
+  CheckpointTest.testSavesAtomicallyOnStop();
+  CheckpointTest.testResumeRestoresTracker();
+  await CheckpointTest.testEtaUsesPostResumeThroughput();
+  CheckpointTest.testCorruptCheckpointStartsFresh();
+  await CheckpointTest.testSavesOnIntervalAndSignal();
+} finally {
+  fs.rmSync(directory, { recursive: true, force: true });
+}
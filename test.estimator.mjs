@@ -0,0 +1,136 @@
+import {
+  ProgressBarBuilder,
+  ProgressEstimators,
+  StandardProgressCalculator,
+  SlidingWindowCalculator,
+  EwmaCalculator,
+  LinearRegressionCalculator,
+} from "./main.mjs";
+import { performance } from "perf_hooks";
+import assert from "assert";
+
+// Feeds a slow warm-up (1 item/s for 10s) followed by a fast phase
+// (20 items/s for 10s) through a calculator, one sample per simulated second
+function simulateWarmUp(calculator) {
+  let current = 0;
+  let progress = null;
+
+  for (let second = 1; second <= 20; second++) {
+    current += second <= 10 ? 1 : 20;
+    const startTime = performance.now() - second * 1000;
+    progress = calculator.calculate(current, 1000, startTime, 0);
+  }
+
+  return progress;
+}
+
+class EstimatorTest {
+  static testAdaptiveEstimatorsTrackThroughputChange() {
+    const standard = simulateWarmUp(new StandardProgressCalculator());
+    const window = simulateWarmUp(new SlidingWindowCalculator({ window: 3 }));
+    const ewma = simulateWarmUp(new EwmaCalculator({ halfLife: 1 }));
+    const regression = simulateWarmUp(
+      new LinearRegressionCalculator({ maxSamples: 5 })
+    );
+
+    // The cumulative average is still far below the current 20 items/s
+    assert.ok(standard.speed < 10, `standard ${standard.speed}`);
+
+    [window, ewma, regression].forEach((progress) => {
+      assert.ok(
+        Math.abs(progress.speed - 20) < 2,
+        `expected ~20/s, got ${progress.speed}`
+      );
+      assert.ok(Math.abs(progress.eta - (1000 - 210) / 20) < 5);
+    });
+
+    console.log("✓ Adaptive estimator test passed");
+  }
+
+  static testResetClearsSamples() {
+    const calculator = new EwmaCalculator();
+    simulateWarmUp(calculator);
+    calculator.reset();
+
+    assert.equal(calculator.rate, null);
+    assert.equal(calculator.lastSample, null);
+
+    console.log("✓ Estimator reset test passed");
+  }
+
+  static testBuilderSelectsEstimator() {
+    const bar = new ProgressBarBuilder()
+      .withTotal(10)
+      .withEstimator("ewma", { halfLife: 2 })
+      .buildSilent();
+
+    assert.ok(bar.tracker.calculator instanceof EwmaCalculator);
+    assert.equal(bar.tracker.calculator.halfLife, 2);
+    assert.throws(() => ProgressEstimators.create("bogus"), /Unknown/);
+
+    console.log("✓ Builder estimator test passed");
+  }
+
+  static testBarsGetTheirOwnCalculator() {
+    const builder = new ProgressBarBuilder()
+      .withTotal(10)
+      .withEstimator(() => new EwmaCalculator({ halfLife: 3 }));
+    const first = builder.buildSilent();
+    const second = builder.buildSilent();
+
+    assert.ok(first.tracker.calculator instanceof EwmaCalculator);
+    assert.equal(first.tracker.calculator.halfLife, 3);
+    assert.notStrictEqual(first.tracker.calculator, second.tracker.calculator);
+
+    const fromClass = builder.withEstimator(EwmaCalculator, { halfLife: 4 });
+    assert.equal(fromClass.buildSilent().tracker.calculator.halfLife, 4);
+
+    // A single instance would mix the samples of every bar
+    assert.throws(
+      () => ProgressEstimators.create(new EwmaCalculator()),
+      /factory function/
+    );
+
+    console.log("✓ Per-bar calculator test passed");
+  }
+
+  static testChildrenKeepEstimatorOptions() {
+    const bar = new ProgressBarBuilder()
+      .withTotal(10)
+      .withEstimator("ewma", { halfLife: 60 })
+      .buildSilent();
+    const child = bar.createChild(1, 10, "child");
+    const grandchild = child.createChild(1, 5, "grandchild");
+
+    assert.ok(child.calculator instanceof EwmaCalculator);
+    assert.equal(child.calculator.halfLife, 60);
+    assert.equal(grandchild.calculator.halfLife, 60);
+    assert.notStrictEqual(child.calculator, bar.tracker.calculator);
+
+    // Factories may return any object with calculate()
+    const plain = () => {
+      const inner = new StandardProgressCalculator();
+      return {
+        calculate: (...args) => inner.calculate(...args),
+        reset: () => inner.reset(),
+      };
+    };
+    const custom = new ProgressBarBuilder()
+      .withTotal(10)
+      .withEstimator(plain)
+      .buildSilent();
+    const part = custom.createChild(1, 4, "part");
+    part.increment(2);
+    assert.notStrictEqual(part.calculator, custom.tracker.calculator);
+    assert.equal(custom.getProgress().percentage, 50);
+
+    console.log("✓ Child estimator options test passed");
+  }
+}
+
+// Run tests
+EstimatorTest.testAdaptiveEstimatorsTrackThroughputChange();
+EstimatorTest.testResetClearsSamples();
+EstimatorTest.testBuilderSelectsEstimator();
+EstimatorTest.testBarsGetTheirOwnCalculator();
+EstimatorTest.testChildrenKeepEstimatorOptions();
@@ -0,0 +1,318 @@
+import {
+  ProgressBar,
+  CLIProgressHelper,
+  TaskRunner,
+  AbortError,
+  TimeoutError,
+} from "./main.mjs";
+import { Readable, Writable } from "stream";
+import { pipeline } from "stream/promises";
+import { sleep } from "./testing.mjs";
+import assert from "assert";
+
+const collect = (objectMode = false) => {
+  const chunks = [];
+  const sink = new Writable({
+    objectMode,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  return { sink, chunks };
+};
+
+// Renderer config that keeps helper bars off the real terminal
+const quietConfig = () => {
+  const { sink, chunks } = collect();
+  return {
+    chunks,
+    config: { stream: sink, useColors: false, barLength: 12 },
+  };
+};
+
+// A task that only ends when its signal aborts
+const waitForAbort = (signal) =>
+  new Promise((resolve) => signal.addEventListener("abort", resolve));
+
+class CLIProgressHelperTest {
+  static async testTrackStreamCountsBytes() {
+    const progressBar = ProgressBar.createSilent(10, "Bytes");
+    const source = Readable.from([Buffer.from("hello"), Buffer.from("world")]);
+    const { sink, chunks } = collect();
+
+    await pipeline(
+      CLIProgressHelper.trackStream(source, { progressBar }),
+      sink
+    );
+
+    assert.equal(Buffer.concat(chunks).toString(), "helloworld");
+    assert.equal(progressBar.getProgress().current, 10);
+    assert.equal(progressBar.getState(), "completed");
+
+    console.log("✓ trackStream byte count test passed");
+  }
+
+  static async testTrackStreamUnknownTotalAndErrors() {
+    const progressBar = ProgressBar.createSilent(0, "Objects");
+    const source = new Readable({ objectMode: true, read() {} });
+    const tracked = CLIProgressHelper.trackStream(source, { progressBar });
+    const { sink } = collect(true);
+    const errors = [];
+    tracked.on("error", (error) => errors.push(error));
+    tracked.pipe(sink);
+
+    source.push({ id: 1 });
+    source.push({ id: 2 });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(progressBar.getProgress().current, 2);
+    assert.equal(progressBar.getProgress().isIndeterminate, true);
+
+    source.destroy(new Error("socket hang up"));
+    await new Promise((resolve) => tracked.once("close", resolve));
+    assert.equal(progressBar.getState(), "failed");
+    assert.equal(progressBar.getProgress().error.message, "socket hang up");
+    assert.equal(errors[0].message, "socket hang up");
+
+    console.log("✓ trackStream unknown total/error test passed");
+  }
+
+  static async testTrackIterable() {
+    const progressBar = ProgressBar.createSilent(3, "Items");
+    const seen = [];
+    for await (const item of CLIProgressHelper.trackIterable(["a", "b", "c"], {
+      progressBar,
+    })) {
+      seen.push(item);
+    }
+    assert.deepEqual(seen, ["a", "b", "c"]);
+    assert.equal(progressBar.getState(), "completed");
+
+    const earlyBar = ProgressBar.createSilent(3, "Early");
+    for await (const item of CLIProgressHelper.trackIterable(["a", "b", "c"], {
+      progressBar: earlyBar,
+    })) {
+      if (item === "b") break;
+    }
+    assert.equal(earlyBar.getState(), "cancelled");
+    assert.equal(earlyBar.getProgress().current, 1);
+
+    async function* failing() {
+      yield 1;
+      throw new Error("read failed");
+    }
+    const failedBar = ProgressBar.createSilent(0, "Failing");
+    await assert.rejects(async () => {
+      for await (const item of CLIProgressHelper.trackIterable(failing(), {
+        progressBar: failedBar,
+      })) {
+        assert.equal(item, 1);
+      }
+    }, /read failed/);
+    assert.equal(failedBar.getState(), "failed");
+
+    console.log("✓ trackIterable test passed");
+  }
+}
+
+class TaskRunnerTest {
+  static async testRunTasksWithRetries() {
+    let flakyCalls = 0;
+    let running = 0;
+    let maxRunning = 0;
+
+    const track = async (fn) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      try {
+        return await fn();
+      } finally {
+        running--;
+      }
+    };
+
+    const report = await CLIProgressHelper.runTasks(
+      [
+        { name: "lint", run: () => track(() => sleep(20).then(() => "ok")) },
+        {
+          name: "flaky",
+          retries: 2,
+          run: () =>
+            track(async () => {
+              if (++flakyCalls < 3) throw new Error("flake");
+              return "recovered";
+            }),
+        },
+        {
+          name: "broken",
+          run: () =>
+            track(async () => {
+              throw new Error("nope");
+            }),
+        },
+        async function docs() {
+          await track(() => sleep(10));
+        },
+      ],
+      { concurrency: 2, retryDelay: 5 }
+    );
+
+    assert.equal(maxRunning, 2);
+    assert.equal(report.ok, false);
+    assert.equal(report.succeeded, 3);
+    assert.equal(report.failed, 1);
+    assert.deepEqual(
+      report.results.map(({ name, status, attempts }) => [
+        name,
+        status,
+        attempts,
+      ]),
+      [
+        ["lint", "fulfilled", 1],
+        ["flaky", "fulfilled", 3],
+        ["broken", "rejected", 1],
+        ["docs", "fulfilled", 1],
+      ]
+    );
+    assert.equal(report.results[2].error.message, "nope");
+
+    console.log("✓ runTasks retry/concurrency test passed");
+  }
+
+  static async testRunTasksFailFast() {
+    const report = await CLIProgressHelper.runTasks(
+      [
+        async function first() {
+          throw new Error("stop here");
+        },
+        async function second() {},
+        async function third() {},
+      ],
+      { concurrency: 1, failFast: true }
+    );
+
+    assert.deepEqual(
+      report.results.map((result) => result.status),
+      ["rejected", "skipped", "skipped"]
+    );
+    assert.equal(report.skipped, 2);
+
+    console.log("✓ runTasks fail-fast test passed");
+  }
+
+  static async testFailedRowsStayUntilEnd() {
+    const runner = new TaskRunner({ concurrency: 1 });
+    const { manager } = runner;
+    let failedRow = null;
+
+    const report = await runner.run([
+      async function broken() {
+        throw new Error("bad input");
+      },
+      async function later() {
+        failedRow = manager.get("task-0");
+      },
+    ]);
+
+    // Still shown while the next task runs, removed once the run is over
+    assert.equal(failedRow?.getState(), "failed");
+    assert.equal(manager.get("task-0"), undefined);
+    assert.equal(report.failed, 1);
+
+    console.log("✓ Failed task row test passed");
+  }
+}
+
+class AbortableHelperTest {
+  static async testTimeoutCancelsBar() {
+    const { chunks, config } = quietConfig();
+    let bar = null;
+    let taskSignal = null;
+
+    await assert.rejects(
+      CLIProgressHelper.withProgress(
+        10,
+        "Slow",
+        async (update, { signal, progressBar }) => {
+          bar = progressBar;
+          taskSignal = signal;
+          update(4);
+          await waitForAbort(signal);
+        },
+        { ...config, timeout: 30 }
+      ),
+      (error) => error instanceof TimeoutError && error.timeout === 30
+    );
+
+    // The helper's config reached the bar's renderer
+    assert.equal(bar.renderer.config.barLength, 12);
+    assert.equal(bar.getState(), "cancelled");
+    assert.ok(bar.getProgress().reason instanceof TimeoutError);
+    assert.ok(taskSignal.reason instanceof AbortError);
+
+    const output = chunks.join("");
+    assert.match(output, /Slow: timed out at 40\.0% \(4\/10\)/);
+    assert.ok(!output.includes("Cancelled"));
+
+    console.log("✓ Helper timeout test passed");
+  }
+
+  static async testCallerSignalCancelsBar() {
+    const { chunks, config } = quietConfig();
+    const controller = new AbortController();
+    setTimeout(() => controller.abort("stop requested"), 20);
+
+    const run = CLIProgressHelper.withProgressAndState(
+      10,
+      "Stoppable",
+      (update, { signal }) => waitForAbort(signal),
+      { ...config, signal: controller.signal }
+    );
+    await assert.rejects(run, (error) => {
+      assert.ok(error instanceof AbortError);
+      assert.ok(!(error instanceof TimeoutError));
+      assert.equal(error.message, "stop requested");
+      assert.equal(error.cause, "stop requested");
+      return true;
+    });
+    assert.match(chunks.join(""), /Stoppable: cancelled .*: stop requested/);
+
+    // An already aborted signal never starts the task
+    let started = false;
+    await assert.rejects(
+      CLIProgressHelper.withSpinner(
+        "Never",
+        async () => {
+          started = true;
+        },
+        { ...config, signal: AbortSignal.abort() }
+      ),
+      AbortError
+    );
+    assert.equal(started, false);
+
+    // Ordinary task errors still fail the bar
+    await assert.rejects(
+      CLIProgressHelper.withSpinner(
+        "Broken",
+        async () => {
+          throw new Error("no route");
+        },
+        { ...config, timeout: 1000 }
+      ),
+      (error) => !(error instanceof AbortError) && error.message === "no route"
+    );
+
+    console.log("✓ Helper abort signal test passed");
+  }
+}
+
+// Run tests
+await CLIProgressHelperTest.testTrackStreamCountsBytes();
+await CLIProgressHelperTest.testTrackStreamUnknownTotalAndErrors();
+await CLIProgressHelperTest.testTrackIterable();
+await TaskRunnerTest.testRunTasksWithRetries();
+await TaskRunnerTest.testRunTasksFailFast();
+await TaskRunnerTest.testFailedRowsStayUntilEnd();
+await AbortableHelperTest.testTimeoutCancelsBar();
+await AbortableHelperTest.testCallerSignalCancelsBar();
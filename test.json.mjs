@@ -0,0 +1,206 @@
+import {
+  ProgressBar,
+  ProgressBarBuilder,
+  MultiProgressManager,
+  JsonProgressRenderer,
+  JsonProgressConsumer,
+} from "./main.mjs";
+import { PassThrough } from "stream";
+import { sleep } from "./testing.mjs";
+import assert from "assert";
+
+// Collects the NDJSON events written by a renderer
+function createEventStream() {
+  const events = [];
+  return {
+    events,
+    write: (line) => events.push(JSON.parse(line)),
+  };
+}
+
+class JsonProgressTest {
+  static testEventsAndRateLimit() {
+    const stream = createEventStream();
+    const bar = new ProgressBar(
+      10,
+      "Build",
+      new JsonProgressRenderer({ stream, id: "build", minInterval: 10000 })
+    );
+
+    for (let i = 0; i < 5; i++) bar.update(1, { step: i });
+    bar.pause();
+    bar.resume();
+    bar.update(5);
+
+    // First update announces "active"; the rest of the burst is rate limited
+    assert.deepEqual(
+      stream.events.map(({ type, state }) => `${type}:${state}`),
+      ["state:active", "state:paused", "state:active", "state:completed"]
+    );
+
+    const [first] = stream.events;
+    assert.equal(first.id, "build");
+    assert.equal(first.current, 1);
+    assert.equal(first.total, 10);
+    assert.equal(first.percentage, 10);
+    assert.deepEqual(first.payload, { step: 0 });
+    assert.equal(typeof first.ts, "number");
+    assert.equal(stream.events[3].current, 10);
+
+    console.log("✓ JSON event/rate limit test passed");
+  }
+
+  static async testLatestUpdateFollowsBurst() {
+    const stream = createEventStream();
+    const bar = new ProgressBar(
+      10,
+      "Sync",
+      new JsonProgressRenderer({ stream, minInterval: 30 })
+    );
+
+    for (let i = 0; i < 5; i++) bar.update(1);
+    assert.equal(stream.events.at(-1).current, 1);
+
+    // Once the interval has passed, the last update of the burst is sent
+    await sleep(60);
+    assert.deepEqual(
+      stream.events.map(({ type, current }) => `${type}:${current}`),
+      ["state:1", "progress:5"]
+    );
+
+    console.log("✓ JSON trailing update test passed");
+  }
+
+  static async testConsumerDrivesBars() {
+    const pipe = new PassThrough();
+    const otherLines = [];
+    const consumer = new JsonProgressConsumer({
+      createBar: (event) => ProgressBar.createSilent(event.total, event.id),
+      onLine: (line) => otherLines.push(line),
+    });
+    const consumed = consumer.consume(pipe);
+
+    const upload = new ProgressBar(
+      4,
+      "upload",
+      new JsonProgressRenderer({ stream: pipe, minInterval: 0 })
+    );
+    const verify = new ProgressBar(
+      2,
+      "verify",
+      new JsonProgressRenderer({ stream: pipe, minInterval: 0 })
+    );
+
+    upload.update(3, { file: "a.bin" });
+    pipe.write("plain log line\n");
+    pipe.write('{"type":"log","id":3,"msg":"json log line"}\n');
+    verify.update(1);
+    verify.fail(new Error("bad checksum"));
+    upload.update(1);
+    pipe.end();
+    await consumed;
+
+    const uploaded = consumer.get("upload");
+    assert.equal(uploaded.getState(), "completed");
+    assert.equal(uploaded.getProgress().payload.file, "a.bin");
+    assert.equal(uploaded.renderer.getHistory()[0].current, 3);
+
+    const verified = consumer.get("verify").getProgress();
+    assert.equal(verified.state, "failed");
+    assert.equal(verified.error.message, "bad checksum");
+    assert.equal(verified.current, 1);
+
+    // JSON that is not a progress event is passed on, not turned into a bar
+    assert.deepEqual(otherLines, [
+      "plain log line",
+      '{"type":"log","id":3,"msg":"json log line"}',
+    ]);
+    assert.deepEqual([...consumer.bars.keys()], ["upload", "verify"]);
+    assert.equal(JsonProgressConsumer.parse("{not json"), null);
+    assert.equal(
+      JsonProgressConsumer.parse('{"type":"progress","id":1,"current":"3"}'),
+      null
+    );
+
+    console.log("✓ JSON consumer test passed");
+  }
+
+  static testFormatSelection() {
+    const previous = process.env.PROGRESS_FORMAT;
+    process.env.PROGRESS_FORMAT = "json";
+    try {
+      const fromEnv = new ProgressBarBuilder().withTotal(5).build();
+      assert.ok(fromEnv.renderer instanceof JsonProgressRenderer);
+      assert.ok(new ProgressBar(5).renderer instanceof JsonProgressRenderer);
+    } finally {
+      if (previous === undefined) delete process.env.PROGRESS_FORMAT;
+      else process.env.PROGRESS_FORMAT = previous;
+    }
+
+    const explicit = new ProgressBarBuilder()
+      .withJsonOutput({ id: "job" })
+      .build();
+    assert.ok(explicit.renderer instanceof JsonProgressRenderer);
+    assert.equal(explicit.renderer.config.id, "job");
+
+    console.log("✓ Format selection test passed");
+  }
+
+  static testManagerRowsFollowFormat() {
+    const stream = createEventStream();
+    process.env.PROGRESS_FORMAT = "json";
+    let manager;
+    try {
+      manager = new MultiProgressManager({ stream, report: "table" });
+      manager.add("fetch", 2, "Fetch");
+      manager.add("parse", 2, "Parse");
+    } finally {
+      delete process.env.PROGRESS_FORMAT;
+    }
+    manager.get("fetch").update(2);
+    manager.get("parse").fail(new Error("bad header"));
+
+    // Only events reach the stream: no rows, summary line or table
+    assert.deepEqual(
+      stream.events.map(({ type, id, state }) => `${type}:${id}:${state}`),
+      [
+        "state:fetch:idle",
+        "state:parse:idle",
+        "state:fetch:completed",
+        "state:parse:failed",
+        "report:null:undefined",
+      ]
+    );
+    assert.equal(stream.events.at(-1).counts.failed, 1);
+
+    console.log("✓ Manager JSON rows test passed");
+  }
+
+  static testDefaultsToStdoutWhenPiped() {
+    const { isTTY: stdoutTTY } = process.stdout;
+    const { isTTY: stderrTTY } = process.stderr;
+    process.stdout.isTTY = false;
+    process.stderr.isTTY = true;
+    try {
+      // Other renderers move to stderr here; events stay on the pipe
+      assert.equal(new JsonProgressRenderer().terminal.stream, process.stdout);
+
+      const stream = createEventStream();
+      const renderer = new JsonProgressRenderer({ stream });
+      assert.equal(renderer.terminal.stream, stream);
+    } finally {
+      process.stdout.isTTY = stdoutTTY;
+      process.stderr.isTTY = stderrTTY;
+    }
+
+    console.log("✓ Piped stdout test passed");
+  }
+}
+
+// Run tests
+JsonProgressTest.testEventsAndRateLimit();
+await JsonProgressTest.testLatestUpdateFollowsBurst();
+await JsonProgressTest.testConsumerDrivesBars();
+JsonProgressTest.testFormatSelection();
+JsonProgressTest.testManagerRowsFollowFormat();
+JsonProgressTest.testDefaultsToStdoutWhenPiped();
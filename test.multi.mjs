@@ -0,0 +1,160 @@
+import { MultiProgressManager, RenderScheduler, Terminal } from "./main.mjs";
+import { sleep, createStream } from "./testing.mjs";
+import assert from "assert";
+
+const nextFrame = () => sleep(2 * RenderScheduler.shared.frameInterval);
+
+// A fake TTY that applies the cursor sequences the renderer writes to a grid
+// of lines, so tests can check what ends up on screen
+function createScreen() {
+  const stream = createStream();
+  stream.lines = [""];
+  stream.row = 0;
+  const record = stream.write;
+  stream.write = (chunk) => {
+    record(chunk);
+    const parts = String(chunk).split(/(\x1b\[[0-9;?]*[A-Za-z]|\n|\r)/);
+    for (const part of parts) {
+      if (!part) continue;
+      const move = part.match(/^\x1b\[(\d+)([ABGK])$/);
+      if (part === "\n") {
+        stream.row++;
+        if (stream.row === stream.lines.length) stream.lines.push("");
+      } else if (part === "\r" || part.startsWith("\x1b[?")) {
+        // Carriage returns only follow line clears; cursor visibility
+      } else if (move?.[2] === "A") {
+        stream.row = Math.max(0, stream.row - Number(move[1]));
+      } else if (move?.[2] === "B") {
+        stream.row += Number(move[1]);
+      } else if (move?.[2] === "K") {
+        stream.lines[stream.row] = "";
+      } else if (!move) {
+        stream.lines[stream.row] += part;
+      }
+    }
+    return true;
+  };
+  return stream;
+}
+
+// Rows above the cursor, where the renderer keeps its reserved area
+const screenRows = (stream) => stream.lines.slice(0, stream.row);
+
+function createManager(stream, interactive = true) {
+  return new MultiProgressManager({
+    stream: new Terminal(stream, { interactive }),
+    useColors: false,
+    barLength: 10,
+    showSpeed: false,
+    showETA: false,
+  });
+}
+
+class MultiProgressTest {
+  static async testRowsReservedInOrder() {
+    const stream = createScreen();
+    const manager = createManager(stream);
+    manager.add("a", 10, "First");
+    manager.add("b", 10, "Second");
+    await nextFrame();
+
+    const rows = screenRows(stream);
+    assert.equal(rows.length, 2);
+    assert.ok(rows[0].startsWith("First: ["), rows[0]);
+    assert.ok(rows[1].startsWith("Second: ["), rows[1]);
+    assert.equal(manager.renderer.lineCount, 2);
+
+    manager.clear();
+    console.log("✓ Row reservation test passed");
+  }
+
+  static async testUpdatesRedrawInPlace() {
+    const stream = createScreen();
+    const manager = createManager(stream);
+    manager.add("a", 10, "First");
+    manager.add("b", 10, "Second");
+    manager.update("b", 5);
+    await nextFrame();
+    manager.update("a", 2);
+    await nextFrame();
+
+    // Still two rows, each showing its own bar's latest progress
+    const rows = screenRows(stream);
+    assert.equal(rows.length, 2);
+    assert.ok(rows[0].includes("20.0%"), rows[0]);
+    assert.ok(rows[1].includes("50.0%"), rows[1]);
+
+    manager.clear();
+    console.log("✓ In-place redraw test passed");
+  }
+
+  static async testRemoveClosesGap() {
+    const stream = createScreen();
+    const manager = createManager(stream);
+    manager.add("a", 10, "First").update(1);
+    manager.add("b", 10, "Second").update(3);
+    manager.add("c", 10, "Third").update(5);
+    await nextFrame();
+
+    manager.remove("b");
+    const rows = screenRows(stream);
+    assert.equal(rows.length, 2);
+    assert.ok(rows[0].startsWith("First: ["), rows[0]);
+    assert.ok(rows[1].startsWith("Third: ["), rows[1]);
+    // The row the removed bar used is blanked out below the others
+    assert.equal(stream.lines[2], "");
+    assert.equal(manager.renderer.lineCount, 2);
+
+    manager.clear();
+    console.log("✓ Remove redraw test passed");
+  }
+
+  static async testSummaryAfterLastBar() {
+    const stream = createScreen();
+    const manager = createManager(stream);
+    const first = manager.add("a", 10, "First");
+    const second = manager.add("b", 10, "Second");
+    first.update(10);
+    await nextFrame();
+    assert.ok(!stream.output.includes("of 2 complete"));
+
+    second.fail(new Error("timeout"));
+    const rows = screenRows(stream);
+    assert.equal(rows.length, 3);
+    assert.ok(rows[0].endsWith("Complete!"), rows[0]);
+    assert.ok(rows[1].endsWith("Failed: timeout"), rows[1]);
+    assert.ok(rows[2].endsWith("1 of 2 complete, 1 failed"), rows[2]);
+
+    // The area is released, so later output starts below the summary
+    assert.equal(manager.renderer.lineCount, 0);
+
+    console.log("✓ Summary test passed");
+  }
+
+  static testNonInteractiveRows() {
+    const stream = createScreen();
+    const manager = createManager(stream, false);
+    const first = manager.add("a", 4, "First");
+    const second = manager.add("b", 4, "Second");
+    first.update(2);
+    second.update(4);
+    first.update(2);
+
+    // One plain line per finished bar, in finishing order, then the summary
+    assert.equal(stream.output.includes("\x1b["), false);
+    const rows = screenRows(stream);
+    assert.equal(rows.length, 3);
+    assert.ok(rows[0].startsWith("Second: ["), rows[0]);
+    assert.ok(rows[1].startsWith("First: ["), rows[1]);
+    assert.ok(rows[2].endsWith("2 of 2 complete"), rows[2]);
+
+    console.log("✓ Non-interactive rows test passed");
+  }
+}
+
+// Run tests
+await MultiProgressTest.testRowsReservedInOrder();
+await MultiProgressTest.testUpdatesRedrawInPlace();
+await MultiProgressTest.testRemoveClosesGap();
+await MultiProgressTest.testSummaryAfterLastBar();
+MultiProgressTest.testNonInteractiveRows();
@@ -0,0 +1,195 @@
+import {
+  ProgressBarBuilder,
+  MultiProgressManager,
+  OutputInterceptor,
+  Terminal,
+} from "./main.mjs";
+import { createStream, createTerminal } from "./testing.mjs";
+import assert from "assert";
+
+function createBar(terminal, description = "Copy") {
+  return new ProgressBarBuilder()
+    .withTotal(10)
+    .withDescription(description)
+    .withStream(terminal)
+    .withColors(false)
+    .withBarLength(10);
+}
+
+class OutputTest {
+  static testLogPrintsAboveBar() {
+    const terminal = createTerminal();
+    const bar = createBar(terminal).build();
+    bar.update(4);
+    const line = bar.renderer.lastOutput;
+
+    terminal.stream.output = "";
+    bar.log("skipped %s (%d bytes)", "a.txt", 12);
+
+    // The bar's line is cleared, the message written and the bar redrawn
+    assert.equal(
+      terminal.stream.output,
+      `\x1b[2K\rskipped a.txt (12 bytes)\n${line}`
+    );
+
+    bar.update(6);
+    terminal.stream.output = "";
+    bar.log("done");
+    assert.equal(terminal.stream.output, "done\n");
+
+    console.log("✓ Bar log test passed");
+  }
+
+  static testLogWithoutInteractiveTerminal() {
+    const terminal = createTerminal({ interactive: false });
+    const bar = createBar(terminal)
+      .withLogOutput({ timestamps: false })
+      .build();
+    bar.update(5);
+
+    terminal.stream.output = "";
+    bar.log("warning: slow disk");
+    assert.equal(terminal.stream.output, "warning: slow disk\n");
+
+    console.log("✓ Non-interactive log test passed");
+  }
+
+  static testManagerLogRedrawsAllRows() {
+    const terminal = createTerminal();
+    const manager = new MultiProgressManager({
+      stream: terminal,
+      useColors: false,
+      barLength: 10,
+    });
+    manager.add("a", 10, "First").update(2);
+    manager.add("b", 10, "Second").update(3);
+
+    terminal.stream.output = "";
+    manager.log("checkpoint");
+    const [, below] = terminal.stream.output.split("checkpoint\n");
+
+    assert.ok(below.includes("First: ["), below);
+    assert.ok(below.includes("Second: ["), below);
+    assert.equal(manager.renderer.lineCount, 2);
+
+    manager.clear();
+    console.log("✓ Manager log test passed");
+  }
+
+  static testInterceptorBuffersLines() {
+    const stream = createStream();
+    const captured = [];
+    const interceptor = new OutputInterceptor(
+      (text, write) => {
+        captured.push(text);
+        write(text);
+      },
+      [stream]
+    );
+
+    interceptor.start();
+    stream.write("partial ");
+    assert.deepEqual(captured, []);
+
+    let flushed = false;
+    stream.write(Buffer.from("line\nnext"), () => (flushed = true));
+    assert.deepEqual(captured, ["partial line\n"]);
+
+    // Terminal writes skip the interceptor
+    new Terminal(stream).write("[bar]");
+    assert.deepEqual(captured, ["partial line\n"]);
+
+    interceptor.stop();
+    assert.deepEqual(captured, ["partial line\n", "next"]);
+    assert.equal(stream.output, "partial line\n[bar]next");
+
+    stream.write("after");
+    assert.equal(stream.output, "partial line\n[bar]nextafter");
+    assert.equal(interceptor.isActive, false);
+
+    return new Promise((resolve) => setImmediate(resolve)).then(() => {
+      assert.ok(flushed);
+      console.log("✓ Output interceptor test passed");
+    });
+  }
+
+  static testInterceptorsStopInAnyOrder() {
+    const stream = createStream();
+    const write = stream.write;
+    const seen = { a: [], b: [] };
+    const interceptor = (name) =>
+      new OutputInterceptor(
+        (text, forward) => {
+          seen[name].push(text);
+          forward(text);
+        },
+        [stream]
+      );
+
+    // The latest interceptor gets the output; stopping the first one
+    // leaves the second in place
+    const a = interceptor("a").start();
+    const b = interceptor("b").start();
+    stream.write("one\n");
+    a.stop();
+    stream.write("two\n");
+    b.stop();
+    assert.equal(stream.write, write);
+    stream.write("three\n");
+    assert.deepEqual(seen, { a: [], b: ["one\n", "two\n"] });
+    assert.equal(stream.output, "one\ntwo\nthree\n");
+
+    // Stopped in reverse order, output falls back to the first one
+    const c = interceptor("a").start();
+    const d = interceptor("b").start();
+    d.stop();
+    stream.write("four\n");
+    c.stop();
+    assert.equal(stream.write, write);
+    assert.deepEqual(seen.a, ["four\n"]);
+    assert.equal(stream.output, "one\ntwo\nthree\nfour\n");
+
+    console.log("✓ Interceptor stop order test passed");
+  }
+
+  static testBarInterceptsConsole() {
+    const terminal = createTerminal();
+    const printed = [];
+    const stdoutWrite = process.stdout.write;
+    const spy = (chunk) => {
+      printed.push(String(chunk));
+      return true;
+    };
+    process.stdout.write = spy;
+
+    try {
+      const bar = createBar(terminal, "Scan").withOutputInterception().build();
+      bar.update(3);
+      assert.notEqual(process.stdout.write, spy);
+      terminal.stream.output = "";
+
+      console.log("found %d issues", 2);
+      assert.deepEqual(printed, ["found 2 issues\n"]);
+      assert.ok(terminal.stream.output.endsWith(bar.renderer.lastOutput));
+      assert.ok(terminal.stream.output.startsWith("\x1b[2K\r"));
+
+      // The streams are handed back once the bar finishes
+      bar.update(7);
+      assert.equal(process.stdout.write, spy);
+      console.log("after");
+      assert.deepEqual(printed, ["found 2 issues\n", "after\n"]);
+    } finally {
+      process.stdout.write = stdoutWrite;
+    }
+
+    console.log("✓ Console interception test passed");
+  }
+}
+
+// Run tests
+OutputTest.testLogPrintsAboveBar();
+OutputTest.testLogWithoutInteractiveTerminal();
+OutputTest.testManagerLogRedrawsAllRows();
+await OutputTest.testInterceptorBuffersLines();
+OutputTest.testInterceptorsStopInAnyOrder();
+OutputTest.testBarInterceptsConsole();
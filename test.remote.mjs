@@ -0,0 +1,124 @@
+import {
+  ProgressBar,
+  ProgressTracker,
+  ProgressReporter,
+  ProgressReceiver,
+} from "./main.mjs";
+import { MessageChannel, Worker } from "worker_threads";
+import { spawn } from "child_process";
+import { sleep } from "./testing.mjs";
+import assert from "assert";
+
+const mainUrl = new URL("./main.mjs", import.meta.url).href;
+const createSilentBar = (event) =>
+  ProgressBar.createSilent(event.total, event.description);
+
+class RemoteProgressTest {
+  static async testMessagePortRoundTrip() {
+    const { port1, port2 } = new MessageChannel();
+    const receiver = new ProgressReceiver({ createBar: createSilentBar });
+    const attached = receiver.attach(port2, { name: "resizer" });
+
+    const reporter = new ProgressReporter(port1, { minInterval: 0 });
+    const tracker = reporter.createTracker(10, "thumbnails");
+    tracker.setState("active");
+    tracker.increment(4, { file: "a.png" });
+    tracker.complete();
+    setImmediate(() => port1.close());
+    await attached;
+
+    const bar = receiver.get("resizer:thumbnails");
+    assert.equal(bar.getState(), "completed");
+    assert.equal(bar.getProgress().payload.file, "a.png");
+    assert.ok(bar.renderer.getHistory().some(({ current }) => current === 4));
+
+    console.log("✓ MessagePort round trip test passed");
+  }
+
+  static async testLatestUpdateFollowsBurst() {
+    const messages = [];
+    const reporter = new ProgressReporter(
+      { send: (message) => messages.push(message) },
+      { minInterval: 30 }
+    );
+    const tracker = reporter.createTracker(10, "upload");
+    tracker.setState("active");
+    for (let i = 0; i < 5; i++) tracker.increment(1);
+    const sent = () =>
+      messages.map(({ event }) => `${event.type}:${event.current}`);
+    assert.deepEqual(sent(), ["state:0"]);
+
+    // The burst is sent as one update, its latest, once the interval passed
+    await sleep(60);
+    assert.deepEqual(sent(), ["state:0", "progress:5"]);
+
+    console.log("✓ Reporter trailing update test passed");
+  }
+
+  static async testWorkerCrashFailsChild() {
+    const worker = new Worker(
+      `
+      const { parentPort } = require("worker_threads");
+      parentPort.postMessage({
+        kind: "progress-event",
+        event: { type: "state", id: "job", description: "job", current: 3, total: 10, state: "active" },
+      });
+      throw new Error("worker blew up");
+      `,
+      { eval: true }
+    );
+
+    const parent = new ProgressTracker(100, "All workers");
+    const receiver = new ProgressReceiver({ parent, weight: 2 });
+    await receiver.attach(worker);
+
+    const child = receiver.get("worker-1:job");
+    assert.equal(child.getState(), "failed");
+    assert.equal(child.weight, 2);
+    assert.equal(child.getProgress().error.message, "worker blew up");
+    assert.equal(parent.getState(), "failed");
+
+    console.log("✓ Worker crash test passed");
+  }
+
+  static async testChildProcessIpc() {
+    const runChild = (script) =>
+      spawn(
+        process.execPath,
+        ["--input-type=module", "-e", `import("${mainUrl}").then(${script})`],
+        { stdio: ["ignore", "ignore", "inherit", "ipc"] }
+      );
+
+    const receiver = new ProgressReceiver({ createBar: createSilentBar });
+    const finished = runChild(`({ ProgressReporter }) => {
+      const reporter = new ProgressReporter(process, { minInterval: 0 });
+      const tracker = reporter.createTracker(3, "upload");
+      for (let i = 0; i < 3; i++) tracker.increment(1);
+      process.disconnect();
+    }`);
+    const killed = runChild(`({ ProgressReporter }) => {
+      const reporter = new ProgressReporter(process, { minInterval: 0 });
+      reporter.createTracker(3, "upload").increment(1);
+      setTimeout(() => process.kill(process.pid, "SIGKILL"), 100);
+    }`);
+
+    await Promise.all([
+      receiver.attach(finished, { name: "ok" }),
+      receiver.attach(killed, { name: "killed" }),
+    ]);
+
+    assert.equal(receiver.get("ok:upload").getState(), "completed");
+    const crashed = receiver.get("killed:upload").getProgress();
+    assert.equal(crashed.state, "failed");
+    assert.equal(crashed.current, 1);
+    assert.match(crashed.error.message, /killed by SIGKILL/);
+
+    console.log("✓ Child process IPC test passed");
+  }
+}
+
+// Run tests
+await RemoteProgressTest.testMessagePortRoundTrip();
+await RemoteProgressTest.testLatestUpdateFollowsBurst();
+await RemoteProgressTest.testWorkerCrashFailsChild();
+await RemoteProgressTest.testChildProcessIpc();
@@ -1,8 +1,16 @@
 import {
   ProgressBar,
+  ConsoleProgressRenderer,
   SilentProgressRenderer,
   CLIProgressHelper,
+  ProgressBarBuilder,
+  TextUtils,
+  Terminal,
+  TerminalUtils,
+  LogProgressRenderer,
 } from "./main.mjs";
+import { performance } from "perf_hooks";
+import { sleep, createStream, createTerminal } from "./testing.mjs";
 import assert from "assert";
 
 class ProgressBarTest {
@@ -39,6 +47,267 @@ class ProgressBarTest {
     console.log("✓ Progress history test passed");
   }
 
+  static testPayloadAndDescription() {
+    const silentRenderer = new SilentProgressRenderer();
+    const progressBar = new ProgressBar(3, "Scanning", silentRenderer);
+    const observed = [];
+    progressBar.onProgress((data) => observed.push(data.payload));
+
+    progressBar.update(1, { file: "a.txt", errors: 0 });
+    progressBar.setDescription("Uploading");
+    progressBar.update(1, { file: "b.txt" });
+
+    const history = silentRenderer.getHistory();
+    assert.deepEqual(history[0].payload, { file: "a.txt", errors: 0 });
+    assert.deepEqual(history[history.length - 1].payload, {
+      file: "b.txt",
+      errors: 0,
+    });
+    assert.equal(history[history.length - 1].description, "Uploading");
+    assert.equal(observed[1].file, "b.txt");
+
+    const renderer = new ConsoleProgressRenderer({
+      useColors: false,
+      showPayload: ["file"],
+    });
+    const line = renderer.formatLine(progressBar.getProgress());
+    assert.ok(line.startsWith("Uploading: "));
+    assert.ok(line.endsWith("file=b.txt"));
+
+    console.log("✓ Payload and description test passed");
+  }
+
+  static testCustomOutputStream() {
+    // Plain pipe: log lines only, no escape codes
+    const pipe = createStream({ isTTY: false });
+    const bar = new ProgressBarBuilder()
+      .withTotal(10)
+      .withDescription("Piped")
+      .withStream(pipe)
+      .build();
+    assert.ok(bar.renderer instanceof LogProgressRenderer);
+    for (let i = 0; i < 10; i++) bar.update(1);
+
+    const output = pipe.chunks.join("");
+    assert.ok(output.includes("Piped: 10.0% (1/10)"), output);
+    assert.ok(output.includes("Piped: completed 10/10"), output);
+    assert.ok(!output.includes("\x1b["), "escape codes written to a pipe");
+
+    // Streams that can redraw keep the console bar
+    const interactiveBar = new ProgressBarBuilder()
+      .withStream(createTerminal())
+      .build();
+    assert.ok(interactiveBar.renderer instanceof ConsoleProgressRenderer);
+
+    // Width and colors follow the stream, not process.stdout
+    const tty = new Terminal(createStream({ columns: 60 }), { colorDepth: 3 });
+    const renderer = new ConsoleProgressRenderer({ stream: tty });
+    const line = renderer.formatLine(bar.getProgress());
+    assert.ok(TextUtils.visibleWidth(line) < 60);
+    assert.ok(line.includes("\x1b["), line);
+
+    console.log("✓ Custom output stream test passed");
+  }
+
+  static testVisibleWidth() {
+    assert.equal(TextUtils.visibleWidth("\x1b[32m日本\x1b[0m ok"), 7);
+    assert.equal(TextUtils.visibleWidth("🚀 e\u0301"), 4);
+
+    const cut = TextUtils.truncate("\x1b[36mabcdef\x1b[0m", 4);
+    assert.equal(TextUtils.stripAnsi(cut), "abc…");
+    assert.ok(cut.endsWith("\x1b[0m"));
+    assert.equal(TextUtils.truncate("日本語", 4), "日…");
+
+    console.log("✓ Visible width test passed");
+  }
+
+  static testResponsiveLayout() {
+    const progress = {
+      ...ProgressBar.createSilent(200, "Downloading archive.tar.gz").update(50),
+      speed: 12.5,
+      eta: 12,
+      state: "active",
+    };
+    const lineAt = (columns) =>
+      new ConsoleProgressRenderer({
+        stream: createStream({ columns }),
+        useColors: false,
+      }).formatLine(progress);
+
+    assert.ok(lineAt(120).includes("ETA: 12s"));
+    assert.ok(lineAt(120).includes("12.5/s"));
+
+    // Speed goes first, then ETA, then the counter
+    assert.ok(!lineAt(66).includes("/s") && lineAt(66).includes("ETA"));
+    assert.ok(!lineAt(56).includes("ETA") && lineAt(56).includes("50/200"));
+    assert.ok(!lineAt(45).includes("50/200"));
+
+    const narrow = lineAt(30);
+    assert.ok(narrow.includes("…"), narrow);
+    [120, 66, 56, 45, 30].forEach((columns) => {
+      assert.ok(TextUtils.visibleWidth(lineAt(columns)) < columns);
+    });
+
+    console.log("✓ Responsive layout test passed");
+  }
+
+  static testRedrawOnResize() {
+    const stream = createStream({ columns: 100 });
+    const bar = ProgressBar.createConsole(10, "Resizing", {
+      stream: new Terminal(stream, { interactive: true }),
+      useColors: false,
+    });
+    bar.update(5);
+
+    stream.columns = 40;
+    stream.chunks.length = 0;
+    stream.emit("resize");
+
+    const redrawn = stream.chunks.join("").split("\r").pop();
+    assert.ok(redrawn.startsWith("Resizing: ["));
+    assert.ok(TextUtils.visibleWidth(redrawn) < 40, redrawn);
+
+    bar.complete();
+    assert.equal(stream.listenerCount("resize"), 0);
+
+    console.log("✓ Resize redraw test passed");
+  }
+
+  static testLogRendererSteps() {
+    const stream = createStream({ isTTY: false });
+    const bar = new ProgressBar(
+      100,
+      "Job",
+      new LogProgressRenderer({
+        stream,
+        percentStep: 25,
+        interval: 0,
+        timestamps: false,
+      })
+    );
+
+    // 30% announces the start, 80% skips past the 50% step, 100% summarises
+    [30, 50, 20].forEach((amount) => bar.update(amount));
+
+    const lines = stream.chunks.join("").trimEnd().split("\n");
+    assert.equal(lines.length, 3);
+    assert.ok(lines[0].startsWith("Job: 30.0% (30/100)"), lines[0]);
+    assert.ok(lines[1].startsWith("Job: 80.0% (80/100)"), lines[1]);
+    assert.ok(lines[1].includes("elapsed 0s"));
+    assert.ok(lines[2].startsWith("Job: completed 100/100 in 0s"), lines[2]);
+    assert.ok(!stream.chunks.join("").includes("\x1b["));
+
+    const failed = createStream({ isTTY: false });
+    const failing = new ProgressBar(
+      10,
+      "Upload",
+      new LogProgressRenderer({ stream: failed })
+    );
+    failing.update(4);
+    failing.fail(new Error("timeout"));
+    const summary = failed.chunks.join("").trimEnd().split("\n").pop();
+    assert.match(summary, /^\[\d{4}-\d\d-\d\dT[\d:.]+Z\] Upload: failed/);
+    assert.ok(summary.endsWith("failed at 40.0% (4/10) after 0s: timeout"));
+
+    console.log("✓ Log renderer step test passed");
+  }
+
+  static async testLogRendererInterval() {
+    const stream = createStream({ isTTY: false });
+    const renderer = new LogProgressRenderer({
+      stream,
+      percentStep: 0,
+      interval: 40,
+    });
+    const bar = new ProgressBar(100, "Slow", renderer);
+
+    bar.update(1);
+    bar.update(1);
+    assert.equal(stream.chunks.length, 1);
+
+    await sleep(60);
+    bar.update(1);
+    assert.equal(stream.chunks.length, 2);
+
+    console.log("✓ Log renderer interval test passed");
+  }
+
+  static testMilestonesAndCIDetection() {
+    // 7, 14, 21, 28 never hit a multiple of 10 but cross two 10% steps
+    const stream = createStream({ isTTY: false });
+    const bar = ProgressBar.createConsole(100, "Steps", { stream });
+    for (let i = 0; i < 4; i++) bar.update(7);
+    assert.equal(stream.chunks.length, 2);
+
+    // An indeterminate bar stays at its start, which is printed once
+    const waiting = createStream({ isTTY: false });
+    const spinner = ProgressBar.createConsole(0, "Waiting", {
+      stream: waiting,
+    });
+    for (let i = 0; i < 5; i++) spinner.renderer.render(spinner.getProgress());
+    assert.equal(waiting.chunks.length, 1);
+
+    assert.equal(Terminal.isCI({ GITHUB_ACTIONS: "true" }), true);
+    assert.equal(Terminal.isCI({ CI: "1" }), true);
+    assert.equal(Terminal.isCI({ CI: "false", JENKINS_URL: "x" }), false);
+    assert.equal(Terminal.isCI({}), false);
+
+    if (!TerminalUtils.isInteractive) {
+      const defaultBar = new ProgressBar(10, "Default");
+      assert.ok(defaultBar.renderer instanceof LogProgressRenderer);
+    }
+
+    console.log("✓ Milestone and CI detection test passed");
+  }
+
+  static testBarStyles() {
+    const bar = (barStyle, percentage, length = 10) =>
+      new ConsoleProgressRenderer({ barStyle, useColors: false }).formatBar(
+        { percentage, state: "active" },
+        length
+      );
+
+    // 56.25% of 8 cells is 4.5 cells: a half block after four full ones
+    assert.equal(bar("smooth", 56.25, 8), "████▌   ");
+    assert.equal(bar("smooth", 100, 8), "████████");
+    assert.equal(bar("shades", 25), "██▒       ");
+    assert.equal(bar("ascii", 50), "====>     ");
+    assert.equal(bar("ascii", 100), "==========");
+    assert.equal(bar("blocks", 56.25, 8), "████░░░░");
+    assert.throws(() => bar("neon", 10), /Unknown bar style/);
+
+    // The bouncing bar moves one cell per 100ms and turns at the edges
+    const bouncing = new ConsoleProgressRenderer({
+      indeterminateStyle: "bounce",
+      useColors: false,
+    });
+    const glyphs = bouncing.getBarGlyphs();
+    const at = (ms) =>
+      bouncing.formatBounce(10, glyphs, bouncing.bounceStartTime + ms);
+    assert.equal(at(0), "██░░░░░░░░");
+    assert.equal(at(50), "██░░░░░░░░");
+    assert.equal(at(850), "░░░░░░░░██");
+    assert.equal(at(950), "░░░░░░░██░");
+
+    // Redrawing more often does not move it faster: 250ms in is frame 2
+    bouncing.bounceStartTime = performance.now() - 250;
+    const frames = Array.from({ length: 5 }, () =>
+      bouncing.formatBar({ isIndeterminate: true }, 10)
+    );
+    assert.ok(
+      frames.every((frame) => frame === "░░██░░░░░░"),
+      frames
+    );
+
+    const line = bouncing.formatLine(
+      ProgressBar.createSilent(0, "Waiting").getProgress()
+    );
+    assert.ok(line.startsWith("Waiting: ["), line);
+    assert.ok(!line.includes("Working"));
+
+    console.log("✓ Bar style test passed");
+  }
+
   static async testAsyncProgress() {
     let progressCount = 0;
 
@@ -47,7 +316,7 @@ class ProgressBarTest {
       "Async Test",
       async (updateProgress) => {
         for (let i = 0; i < 5; i++) {
-          await new Promise((resolve) => setTimeout(resolve, 2000));
+          await sleep(2000);
           updateProgress(1);
           progressCount++;
         }
@@ -62,4 +331,13 @@ class ProgressBarTest {
 // Run tests
 ProgressBarTest.testBasicSilentProgress();
 ProgressBarTest.testSilentProgressRendererHistory();
+ProgressBarTest.testPayloadAndDescription();
+ProgressBarTest.testCustomOutputStream();
+ProgressBarTest.testVisibleWidth();
+ProgressBarTest.testResponsiveLayout();
+ProgressBarTest.testRedrawOnResize();
+ProgressBarTest.testLogRendererSteps();
+await ProgressBarTest.testLogRendererInterval();
+ProgressBarTest.testMilestonesAndCIDetection();
+ProgressBarTest.testBarStyles();
 await ProgressBarTest.testAsyncProgress();
@@ -0,0 +1,276 @@
+import {
+  ProgressBar,
+  ProgressBarBuilder,
+  ProgressRecorder,
+  ProgressReplay,
+  MultiProgressRenderer,
+  LogProgressRenderer,
+  SilentProgressRenderer,
+  TimeoutError,
+} from "./main.mjs";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { sleep, createTerminal } from "./testing.mjs";
+import assert from "assert";
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "progress-replay-"));
+
+// Fields that do not depend on timing
+const describe = ({ description, state, current, total, payload }) => ({
+  description,
+  state,
+  current,
+  total,
+  payload,
+});
+
+class ReplayTest {
+  static testRecordsUpdatesAndStates() {
+    const recorder = new ProgressRecorder();
+    const bar = new ProgressBarBuilder()
+      .withTotal(10)
+      .withDescription("Sync")
+      .withRecorder(recorder)
+      .buildSilent();
+
+    bar.update(3, { file: "a.txt" });
+    bar.pause();
+    bar.resume();
+    bar.fail(new Error("disk full"));
+
+    const events = recorder.getEvents();
+    assert.deepEqual(
+      events.map(({ type, to }) => (type === "state" ? to : type)),
+      ["active", "progress", "paused", "active", "failed"]
+    );
+    assert.equal(events[1].progress.current, 3);
+    assert.deepEqual(events[1].progress.payload, { file: "a.txt" });
+    assert.deepEqual(events[4].progress.error, {
+      name: "Error",
+      message: "disk full",
+    });
+    assert.ok(events.every(({ id }) => id === 1));
+    assert.ok(
+      events.every((event, i) => i === 0 || event.time >= events[i - 1].time)
+    );
+
+    console.log("✓ Recording test passed");
+  }
+
+  static testFileRoundTrip() {
+    const file = path.join(directory, "round-trip.ndjson");
+    const recorder = new ProgressRecorder({ path: file });
+    const first = ProgressBar.createSilent(4, "First");
+    const second = ProgressBar.createSilent(2, "Second");
+    recorder.attach(first, "first");
+    recorder.attach(second, "second");
+
+    first.update(2);
+    second.update(2);
+    first.update(2);
+    recorder.close();
+
+    // Events go to the file rather than memory
+    assert.deepEqual(recorder.events, []);
+    const [header] = fs.readFileSync(file, "utf8").split("\n");
+    assert.equal(JSON.parse(header).type, "header");
+
+    // Stray output and a truncated last line are ignored
+    fs.appendFileSync(file, 'npm WARN something\n{"type":"progress","id"');
+    const events = ProgressRecorder.load(file);
+    assert.equal(events.length, 7);
+    assert.deepEqual(recorder.getEvents(), events);
+
+    const replay = ProgressReplay.fromFile(file, { id: "second" });
+    assert.deepEqual(
+      replay.events.map(({ progress }) => progress.state),
+      ["active", "completed", "completed"]
+    );
+
+    // Every recorded bar gets its own row when played back together
+    const all = ProgressReplay.fromFile(file, { speed: Infinity });
+    assert.deepEqual(all.ids, ["first", "second"]);
+    const terminal = createTerminal({ interactive: false });
+    const multi = new MultiProgressRenderer({
+      stream: terminal,
+      useColors: false,
+    });
+    all.ids.forEach((id) => multi.addProgress(id));
+    while (all.step(multi));
+    const rows = terminal.stream.output.trim().split("\n");
+    assert.equal(rows.length, 3, terminal.stream.output);
+    assert.ok(rows[0].startsWith("Second: ["), rows[0]);
+    assert.ok(rows[1].startsWith("First: ["), rows[1]);
+    assert.ok(rows[2].endsWith("2 of 2 complete"), rows[2]);
+
+    console.log("✓ Recording file test passed");
+  }
+
+  static async testReplayMatchesOriginal() {
+    const recorder = new ProgressRecorder();
+    const original = ProgressBar.createSilent(5, "Convert");
+    recorder.attach(original);
+    original.update(1, { step: "decode" });
+    original.update(2, { step: "encode" });
+    original.complete();
+
+    const renderer = new SilentProgressRenderer();
+    await new ProgressReplay(recorder.getEvents(), { speed: Infinity }).play(
+      renderer
+    );
+    assert.deepEqual(
+      renderer.getHistory().map(describe),
+      recorder.getEvents().map(({ progress }) => describe(progress))
+    );
+    assert.equal(renderer.getLastProgress().state, "completed");
+
+    // Abort reasons come back as errors renderers can tell apart
+    const timedOut = new ProgressRecorder();
+    const bar = ProgressBar.createSilent(10, "Fetch");
+    timedOut.attach(bar);
+    bar.update(4);
+    bar.cancel(new TimeoutError(500));
+
+    const terminal = createTerminal({ interactive: false });
+    await new ProgressReplay(timedOut.getEvents(), { speed: Infinity }).play(
+      new LogProgressRenderer({ stream: terminal, timestamps: false })
+    );
+    assert.ok(
+      terminal.stream.output.includes("Fetch: timed out at 40.0% (4/10)"),
+      terminal.stream.output
+    );
+
+    console.log("✓ Replay test passed");
+  }
+
+  static async testSpeedAndStepping() {
+    const events = [0, 100, 200].map((time, i) => ({
+      type: "progress",
+      id: 1,
+      time,
+      progress: { description: "Tick", state: "active", current: i, total: 3 },
+    }));
+
+    const renderer = new SilentProgressRenderer();
+    let startTime = Date.now();
+    await new ProgressReplay(events, { speed: 10 }).play(renderer);
+    const elapsed = Date.now() - startTime;
+    assert.ok(elapsed >= 15 && elapsed < 150, elapsed);
+    assert.equal(renderer.getHistory().length, 3);
+
+    // Long gaps can be capped
+    startTime = Date.now();
+    await new ProgressReplay(events, { maxDelay: 5 }).play(renderer);
+    assert.ok(Date.now() - startTime < 100);
+
+    const stepped = new ProgressReplay(events);
+    const stepRenderer = new SilentProgressRenderer();
+    assert.equal(stepped.step(stepRenderer).time, 0);
+    assert.equal(stepRenderer.getLastProgress().current, 0);
+    stepped.step(stepRenderer);
+    stepped.step(stepRenderer);
+    assert.equal(stepped.step(stepRenderer), null);
+    assert.ok(stepped.isDone);
+    assert.equal(stepped.reset().isDone, false);
+
+    const controller = new AbortController();
+    const playing = new ProgressReplay(events).play(renderer, {
+      signal: controller.signal,
+    });
+    controller.abort("stop");
+    await assert.rejects(playing, { name: "AbortError", message: "stop" });
+
+    console.log("✓ Replay speed test passed");
+  }
+
+  static async testThrottlesAndCloses() {
+    // Without a minInterval every update is recorded
+    const everything = new ProgressRecorder();
+    const steps = ProgressBar.createSilent(100, "Every");
+    everything.attach(steps);
+    for (let i = 0; i < 5; i++) steps.update(1);
+    assert.deepEqual(
+      everything.getEvents().map(({ progress }) => progress.current),
+      [0, 1, 2, 3, 4, 5]
+    );
+
+    // A burst keeps its first update; the latest one follows after the interval
+    const memory = new ProgressRecorder({ minInterval: 30 });
+    const burst = ProgressBar.createSilent(100, "Burst");
+    memory.attach(burst);
+    for (let i = 0; i < 20; i++) burst.update(1);
+    assert.equal(memory.getEvents().length, 2);
+    await sleep(60);
+    assert.deepEqual(
+      memory.getEvents().map(({ progress }) => progress.current),
+      [0, 1, 20]
+    );
+
+    // State changes and the final frame are never held back
+    const file = path.join(directory, "throttled.ndjson");
+    const recorder = new ProgressRecorder({ path: file, minInterval: 10000 });
+    const bar = ProgressBar.createSilent(100, "Steps");
+    recorder.attach(bar);
+    [1, 5, 94].forEach((amount) => bar.update(amount));
+    assert.deepEqual(
+      recorder
+        .getEvents()
+        .map(({ type, progress }) => [type, progress.current]),
+      [
+        ["state", 0],
+        ["progress", 1],
+        ["state", 100],
+        ["progress", 100],
+      ]
+    );
+
+    // The file is closed once the last bar has finished
+    await null;
+    assert.equal(recorder.fd, null);
+
+    // A bar attached later appends to the same recording
+    const later = ProgressBar.createSilent(1, "Later");
+    recorder.attach(later);
+    later.update(1);
+    await null;
+    assert.equal(recorder.fd, null);
+    const header = fs
+      .readFileSync(file, "utf8")
+      .split("\n")
+      .filter((line) => line.includes('"header"'));
+    assert.equal(header.length, 1);
+    assert.equal(recorder.getEvents().at(-1).progress.description, "Later");
+
+    console.log("✓ Recorder throttling test passed");
+  }
+
+  static testRecordsFromEnvironment() {
+    const file = path.join(directory, "env.ndjson");
+    process.env.PROGRESS_RECORD = file;
+    try {
+      ProgressBar.createSilent(2, "Env").update(2);
+      ProgressBar.createSilent(1, "Other").update(1);
+    } finally {
+      delete process.env.PROGRESS_RECORD;
+    }
+
+    const events = ProgressRecorder.load(file);
+    assert.deepEqual([...new Set(events.map(({ id }) => id))], [1, 2]);
+    assert.equal(events.at(-1).progress.description, "Other");
+
+    console.log("✓ Environment recording test passed");
+  }
+}
+
+// Run tests
+try {
+  ReplayTest.testRecordsUpdatesAndStates();
+  ReplayTest.testFileRoundTrip();
+  await ReplayTest.testReplayMatchesOriginal();
+  await ReplayTest.testSpeedAndStepping();
+  await ReplayTest.testThrottlesAndCloses();
+  ReplayTest.testRecordsFromEnvironment();
+} finally {
+  fs.rmSync(directory, { recursive: true, force: true });
+}
@@ -0,0 +1,246 @@
+import {
+  ProgressBar,
+  ProgressBarBuilder,
+  MultiProgressManager,
+  MultiProgressRenderer,
+  JsonProgressRenderer,
+  JsonProgressConsumer,
+  RunReport,
+  SilentProgressRenderer,
+} from "./main.mjs";
+import { sleep, createTerminal } from "./testing.mjs";
+import assert from "assert";
+
+// A non-interactive fake terminal recording everything written to it
+const createLogTerminal = () =>
+  createTerminal({ interactive: false, columns: 120 });
+
+const task = (description, overrides = {}) => ({
+  description,
+  state: "completed",
+  current: 10,
+  total: 10,
+  startedAt: "2024-01-01T00:00:00.000Z",
+  finishedAt: "2024-01-01T00:00:04.000Z",
+  duration: 4,
+  activeTime: 3,
+  pausedTime: 1,
+  throughput: { average: 2.5, peak: 4, min: 1 },
+  error: null,
+  reason: null,
+  ...overrides,
+});
+
+class RunReportTest {
+  static async testBarTimings() {
+    const bar = new ProgressBar(100, "Index", new SilentProgressRenderer());
+    bar.stats.sampleInterval = 0.02;
+
+    bar.update(10);
+    await sleep(40);
+    bar.update(30);
+    bar.pause();
+    await sleep(60);
+    bar.resume();
+    await sleep(40);
+    bar.update(5);
+    bar.complete();
+
+    const [summary] = bar.getReport().tasks;
+    assert.equal(summary.state, "completed");
+    assert.equal(summary.current, 100);
+    assert.ok(summary.pausedTime >= 0.05, summary.pausedTime);
+    assert.ok(summary.activeTime >= 0.07, summary.activeTime);
+    assert.ok(
+      Math.abs(summary.duration - summary.activeTime - summary.pausedTime) <
+        0.001
+    );
+    assert.ok(Date.parse(summary.finishedAt) >= Date.parse(summary.startedAt));
+
+    // Windowed rates: the burst before the pause beats the slow stretch after
+    const { average, peak, min } = summary.throughput;
+    assert.ok(peak > min, `${peak} > ${min}`);
+    assert.ok(average >= min && average <= peak * 2);
+
+    // Figures stop moving once the run has ended
+    await sleep(30);
+    assert.deepEqual(bar.getReport().tasks[0], summary);
+
+    // A reset starts a new run
+    bar.reset();
+    assert.equal(bar.getReport().tasks[0].startedAt, null);
+
+    console.log("✓ Bar timing test passed");
+  }
+
+  static testTableAndJson() {
+    const report = new RunReport(
+      [
+        task("Download"),
+        task("Build", {
+          state: "failed",
+          current: 3,
+          duration: 9,
+          pausedTime: 0,
+          finishedAt: "2024-01-01T00:00:09.000Z",
+          error: "compile error",
+        }),
+        task("Upload", { duration: 0.5, pausedTime: 0 }),
+      ],
+      { slowest: 2 }
+    );
+
+    assert.equal(
+      report.formatTable(),
+      [
+        "Task      State      Progress  Time  Paused  Avg    Peak   Min",
+        "Download  completed  10/10     4.0s  1.0s    2.5/s  4.0/s  1.0/s",
+        "Build     failed     3/10      9.0s  0.0s    2.5/s  4.0/s  1.0/s",
+        "Upload    completed  10/10     0.5s  0.0s    2.5/s  4.0/s  1.0/s",
+        "",
+        "3 tasks in 9.0s: 2 completed, 1 failed",
+        "Failures:",
+        "  Build: compile error",
+        "Slowest:",
+        "  1. Build (9.0s)",
+        "  2. Download (4.0s)",
+      ].join("\n")
+    );
+
+    const json = JSON.parse(JSON.stringify(report));
+    assert.equal(json.duration, 9);
+    assert.deepEqual(json.counts, {
+      total: 3,
+      completed: 2,
+      failed: 1,
+      cancelled: 0,
+      stopped: 0,
+      running: 0,
+    });
+    assert.deepEqual(json.failures, [
+      { description: "Build", error: "compile error" },
+    ]);
+    assert.deepEqual(
+      json.slowest.map(({ description }) => description),
+      ["Build", "Download"]
+    );
+
+    assert.equal(RunReport.formatDuration(125), "2m 5s");
+    assert.equal(RunReport.formatDuration(7260), "2h 1m");
+
+    console.log("✓ Table and JSON test passed");
+  }
+
+  static testBarPrintsReport() {
+    const terminal = createLogTerminal();
+    const bar = new ProgressBarBuilder()
+      .withTotal(4)
+      .withDescription("Upload")
+      .withStream(terminal)
+      .withLogOutput({ timestamps: false })
+      .withUnits("bytes")
+      .withReport("json")
+      .build();
+
+    bar.update(4);
+    const lines = terminal.stream.output.trim().split("\n");
+    const report = JSON.parse(lines.at(-1));
+    assert.equal(report.tasks[0].description, "Upload");
+    assert.equal(report.tasks[0].state, "completed");
+    assert.equal(report.counts.completed, 1);
+
+    // Units follow the bar's renderer
+    assert.ok(bar.getReport().formatTable().includes("4 B/4 B"));
+
+    console.log("✓ Bar report printing test passed");
+  }
+
+  static testManagerReport() {
+    const terminal = createLogTerminal();
+    const manager = new MultiProgressManager({
+      stream: terminal,
+      useColors: false,
+      report: "table",
+    });
+
+    const fetch = manager.add("fetch", 10, "Fetch");
+    const parse = manager.add("parse", 10, "Parse");
+    fetch.update(10);
+    parse.update(4);
+    assert.ok(!terminal.stream.output.includes("Task"));
+
+    parse.fail(new Error("bad header"));
+    const output = terminal.stream.output;
+    assert.ok(/Task +State +Progress/.test(output), output);
+    assert.ok(output.includes("2 tasks in"), output);
+    assert.ok(output.includes("  Parse: bad header"), output);
+
+    const report = manager.getReport({ slowest: 1 }).toJSON();
+    assert.deepEqual(
+      report.tasks.map(({ id, state }) => [id, state]),
+      [
+        ["fetch", "completed"],
+        ["parse", "failed"],
+      ]
+    );
+    assert.equal(report.failures[0].id, "parse");
+    assert.equal(report.slowest.length, 1);
+
+    manager.clear();
+    console.log("✓ Manager report test passed");
+  }
+
+  static testJsonOutputGetsReportEvent() {
+    const lines = [];
+    const stream = { write: (line) => lines.push(line.trimEnd()) };
+    const bar = new ProgressBarBuilder()
+      .withTotal(4)
+      .withDescription("Upload")
+      .withJsonOutput({ stream })
+      .withReport("table")
+      .build();
+    bar.update(4);
+
+    // Every line stays an event; the report is the last one
+    const events = lines.map((line) => JSON.parse(line));
+    const report = events.at(-1);
+    assert.equal(report.type, "report");
+    assert.equal(report.id, "Upload");
+    assert.equal(report.counts.completed, 1);
+    assert.equal(report.tasks[0].description, "Upload");
+
+    // Consumers hand it over instead of creating a bar for it
+    const received = [];
+    const consumer = new JsonProgressConsumer({
+      createBar: (event) => ProgressBar.createSilent(event.total),
+      onReport: (event) => received.push(event),
+      onLine: (line) => assert.fail(`not an event: ${line}`),
+    });
+    lines.forEach((line) => consumer.handleLine(line));
+    assert.deepEqual(received, [report]);
+    assert.equal(consumer.bars.size, 1);
+    assert.equal(consumer.bars.get("Upload").getState(), "completed");
+
+    // Multi-bar renderers with NDJSON rows do the same
+    const rowLines = [];
+    const multi = new MultiProgressRenderer({ stream: createLogTerminal() });
+    multi.addProgress(
+      "job",
+      new JsonProgressRenderer({
+        stream: { write: (line) => rowLines.push(line) },
+        id: "job",
+      })
+    );
+    multi.renderReport(bar.getReport(), "table");
+    assert.equal(JSON.parse(rowLines.at(-1)).type, "report");
+
+    console.log("✓ JSON report event test passed");
+  }
+}
+
+// Run tests
+await RunReportTest.testBarTimings();
+RunReportTest.testTableAndJson();
+RunReportTest.testBarPrintsReport();
+RunReportTest.testManagerReport();
+RunReportTest.testJsonOutputGetsReportEvent();
@@ -0,0 +1,143 @@
+import {
+  ProgressBar,
+  ConsoleProgressRenderer,
+  MultiProgressManager,
+  RenderScheduler,
+} from "./main.mjs";
+import { sleep, createTerminal } from "./testing.mjs";
+import assert from "assert";
+
+// A bar on its own scheduler whose renderer counts render() calls
+function createBar(fps, config = {}) {
+  const renderer = new ConsoleProgressRenderer({
+    stream: createTerminal(),
+    useColors: false,
+    ...config,
+  });
+  const render = renderer.render.bind(renderer);
+  renderer.renders = 0;
+  renderer.render = (progressData) => {
+    renderer.renders++;
+    render(progressData);
+  };
+
+  const scheduler = new RenderScheduler({ fps });
+  return new ProgressBar(10000, "Scheduled", renderer, { scheduler });
+}
+
+class RenderSchedulerTest {
+  static async testUpdatesCoalesceIntoFrames() {
+    const bar = createBar(10);
+    for (let i = 0; i < 5000; i++) bar.update(1);
+
+    // The first update and the first steady one; the rest wait for a frame
+    assert.equal(bar.renderer.renders, 2);
+    assert.notEqual(bar.renderer.lastProgress.current, 5000);
+
+    await sleep(150);
+    assert.equal(bar.renderer.renders, 3);
+    assert.equal(bar.renderer.lastProgress.current, 5000);
+
+    bar.stop();
+    console.log("✓ Update coalescing test passed");
+  }
+
+  static testStateChangesFlushLatest() {
+    const bar = createBar(1);
+    for (let i = 0; i < 300; i++) bar.update(1);
+
+    const paused = bar.pause();
+    assert.equal(bar.renderer.lastProgress.state, "paused");
+    assert.equal(bar.renderer.lastProgress.current, 300);
+    assert.equal(paused.current, 300);
+
+    bar.resume();
+    for (let i = 0; i < 300; i++) bar.update(1);
+    bar.complete();
+    assert.equal(bar.renderer.lastProgress.state, "completed");
+    assert.ok(bar.renderer.hasRenderedFinal);
+
+    // Stopping draws a frame that was still waiting
+    const stopped = createBar(1);
+    stopped.update(1);
+    stopped.update(1);
+    stopped.update(1);
+    assert.equal(stopped.renderer.lastProgress.current, 2);
+    stopped.stop();
+    assert.equal(stopped.renderer.lastProgress.current, 3);
+
+    console.log("✓ State change flush test passed");
+  }
+
+  static testUnchangedLinesSkipped() {
+    const terminal = createTerminal();
+    const renderer = new ConsoleProgressRenderer({
+      stream: terminal,
+      useColors: false,
+      showSpeed: false,
+      showETA: false,
+    });
+    const bar = ProgressBar.createSilent(100, "Quiet");
+    bar.update(1);
+
+    renderer.render(bar.getProgress());
+    const writes = terminal.stream.chunks.length;
+
+    // Ticks and repeated frames showing the same line write nothing
+    renderer.render(bar.getProgress());
+    renderer.tick();
+    assert.equal(terminal.stream.chunks.length, writes);
+
+    bar.update(1);
+    renderer.render(bar.getProgress());
+    assert.ok(terminal.stream.chunks.length > writes);
+
+    console.log("✓ Unchanged line skip test passed");
+  }
+
+  static async testThrottleKeepsLastFrame() {
+    const bar = createBar(1000, { updateThrottle: 60 });
+    bar.update(1);
+    bar.update(1);
+    bar.update(1);
+    assert.equal(bar.renderer.lastProgress.current, 1);
+
+    // The latest throttled update is drawn once the throttle allows it
+    await sleep(120);
+    assert.equal(bar.renderer.lastProgress.current, 3);
+
+    bar.stop();
+    console.log("✓ Throttle trailing frame test passed");
+  }
+
+  static async testRowsShareOneRedraw() {
+    const manager = new MultiProgressManager({
+      stream: createTerminal(),
+      useColors: false,
+    });
+    const bars = ["a", "b", "c"].map((id) => manager.add(id, 100, id));
+    bars.forEach((bar) => bar.update(1));
+    bars.forEach((bar) => bar.update(1));
+
+    let redraws = 0;
+    const redraw = manager.renderer.redraw.bind(manager.renderer);
+    manager.renderer.redraw = () => {
+      redraws++;
+      redraw();
+    };
+
+    bars.forEach((bar) => bar.update(5));
+    await sleep(2 * RenderScheduler.shared.frameInterval);
+    assert.equal(redraws, 1);
+
+    manager.clear();
+    console.log("✓ Shared redraw test passed");
+  }
+}
+
+// Run tests
+await RenderSchedulerTest.testUpdatesCoalesceIntoFrames();
+RenderSchedulerTest.testStateChangesFlushLatest();
+RenderSchedulerTest.testUnchangedLinesSkipped();
+await RenderSchedulerTest.testThrottleKeepsLastFrame();
+await RenderSchedulerTest.testRowsShareOneRedraw();
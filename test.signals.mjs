@@ -0,0 +1,167 @@
+import {
+  ProgressBar,
+  CLIProgressHelper,
+  ProcessManager,
+  SilentProgressRenderer,
+  TimeoutError,
+} from "./main.mjs";
+import { spawn } from "child_process";
+import { sleep } from "./testing.mjs";
+import assert from "assert";
+
+const mainUrl = new URL("./main.mjs", import.meta.url).href;
+
+const createBar = (total, description) =>
+  new ProgressBar(total, description, new SilentProgressRenderer());
+
+class SignalHandlingTest {
+  static testHandlersOnlyWhileActive() {
+    const before = process.listenerCount("SIGINT");
+    const bar = createBar(2, "Active");
+    assert.equal(process.listenerCount("SIGINT"), before);
+
+    bar.start();
+    assert.equal(process.listenerCount("SIGINT"), before + 1);
+    assert.equal(process.listenerCount("SIGTERM"), 1);
+
+    bar.update(2);
+    assert.equal(process.listenerCount("SIGINT"), before);
+    assert.equal(ProcessManager.shared.isSetup, false);
+
+    // Opting out keeps the exit cleanup but leaves signals alone
+    ProcessManager.shared.configure({ handleSignals: false });
+    const quiet = createBar(2, "Quiet").start();
+    assert.equal(process.listenerCount("SIGINT"), before);
+    assert.ok(ProcessManager.shared.isSetup);
+    quiet.complete();
+    ProcessManager.shared.configure({ handleSignals: true });
+
+    console.log("✓ Handler lifetime test passed");
+  }
+
+  static async testDefersToApplicationHandler() {
+    let handled = 0;
+    const appHandler = () => handled++;
+    process.on("SIGINT", appHandler);
+
+    let seenSignal = null;
+    const task = CLIProgressHelper.withProgress(
+      1000,
+      "Interruptible",
+      async (update, { signal }) => {
+        seenSignal = signal;
+        while (!signal.aborted) {
+          update(1);
+          await sleep(5);
+        }
+      }
+    );
+
+    await sleep(20);
+    process.emit("SIGINT", "SIGINT");
+
+    // The bar is cancelled, the task is told to stop and the application
+    // decides what to do about the signal
+    await assert.rejects(task, {
+      name: "AbortError",
+      message: "Interrupted by SIGINT",
+    });
+    assert.equal(handled, 1);
+    assert.ok(seenSignal.aborted);
+    assert.deepEqual(process.listeners("SIGINT"), [appHandler]);
+
+    process.off("SIGINT", appHandler);
+    console.log("✓ Application handler test passed");
+  }
+
+  static testSignalAbortsOnCancel() {
+    const bar = createBar(5, "Abortable").start();
+    const { signal } = bar;
+    assert.equal(signal.aborted, false);
+
+    bar.cancel("user abort");
+    assert.ok(signal.aborted);
+    assert.equal(signal.reason.message, "user abort");
+
+    // A reset bar starts over with a fresh signal
+    bar.reset();
+    assert.equal(bar.signal.aborted, false);
+
+    console.log("✓ Abort signal test passed");
+  }
+
+  // Before Node 16.14 abort() takes no reason and signals have no reason
+  static async testReasonWithoutSignalReason() {
+    const NativeAbortController = globalThis.AbortController;
+    globalThis.AbortController = class extends NativeAbortController {
+      get signal() {
+        return Object.defineProperty(super.signal, "reason", {
+          value: undefined,
+        });
+      }
+      abort() {
+        super.abort();
+      }
+    };
+
+    try {
+      const bar = createBar(10, "Legacy").start();
+      const cancelled = CLIProgressHelper.runAbortable(bar, async () => {
+        bar.cancel("user abort");
+        await new Promise(() => {});
+      });
+      await assert.rejects(cancelled, {
+        name: "AbortError",
+        message: "user abort",
+      });
+
+      const timedOut = CLIProgressHelper.runAbortable(
+        createBar(10, "Legacy").start(),
+        () => new Promise(() => {}),
+        { timeout: 10 }
+      );
+      await assert.rejects(timedOut, TimeoutError);
+    } finally {
+      globalThis.AbortController = NativeAbortController;
+    }
+
+    console.log("✓ Abort reason without signal.reason test passed");
+  }
+
+  static async testReraisesWithoutHandlers() {
+    const child = spawn(
+      process.execPath,
+      [
+        "--input-type=module",
+        "-e",
+        `import("${mainUrl}").then(({ ProgressBar, LogProgressRenderer }) => {
+          const bar = new ProgressBar(10, "Copy", new LogProgressRenderer({ timestamps: false, stream: process.stdout }));
+          bar.update(3);
+          setTimeout(() => process.kill(process.pid, "SIGINT"), 50);
+          setTimeout(() => {}, 5000);
+        })`,
+      ],
+      { stdio: ["ignore", "pipe", "inherit"] }
+    );
+
+    let output = "";
+    child.stdout.on("data", (chunk) => (output += chunk));
+    const [code, signal] = await new Promise((resolve) =>
+      child.on("exit", (...result) => resolve(result))
+    );
+
+    // Killed by the signal itself, so a shell reports 130
+    assert.equal(code, null);
+    assert.equal(signal, "SIGINT");
+    assert.match(output, /cancelled at 30\.0%.*Interrupted by SIGINT/);
+
+    console.log("✓ Signal re-raise test passed");
+  }
+}
+
+// Run tests
+SignalHandlingTest.testHandlersOnlyWhileActive();
+await SignalHandlingTest.testDefersToApplicationHandler();
+SignalHandlingTest.testSignalAbortsOnCancel();
+await SignalHandlingTest.testReasonWithoutSignalReason();
+await SignalHandlingTest.testReraisesWithoutHandlers();
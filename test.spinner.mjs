@@ -0,0 +1,132 @@
+import {
+  ProgressBar,
+  ProgressBarBuilder,
+  CLIProgressHelper,
+  ConsoleProgressRenderer,
+  Spinner,
+  Terminal,
+} from "./main.mjs";
+import { sleep, createStream, createTerminal } from "./testing.mjs";
+import assert from "assert";
+
+class SpinnerTest {
+  static testTimeBasedFrames() {
+    const spinner = new Spinner("line");
+    assert.equal(spinner.interval, 130);
+    assert.equal(new Spinner("dots").interval, 80);
+
+    // The frame depends on elapsed time, not on how often it is asked for
+    const { startTime } = spinner;
+    assert.equal(spinner.frameAt(startTime), "-");
+    assert.equal(spinner.frameAt(startTime), "-");
+    assert.equal(spinner.frameAt(startTime + 129), "-");
+    assert.equal(spinner.frameAt(startTime + 131), "\\");
+    assert.equal(spinner.frameAt(startTime + 130 * 5 + 1), "\\");
+
+    // next() still steps one frame per call
+    assert.equal(spinner.next(), "-");
+    assert.equal(spinner.next(), "\\");
+
+    const custom = new Spinner({ frames: ["a", "b"], interval: 10 });
+    assert.equal(custom.frameAt(custom.startTime + 25), "a");
+    assert.equal(new Spinner(["x"], { interval: 40 }).interval, 40);
+    assert.throws(() => new Spinner("nope"), /Unknown spinner "nope"/);
+
+    console.log("✓ Time-based spinner test passed");
+  }
+
+  static testRegisterCustomSpinner() {
+    Spinner.register("pulse", ["·", "•", "●", "•"], { interval: 200 });
+
+    assert.deepEqual(Spinner.presets.pulse, ["·", "•", "●", "•"]);
+    assert.equal(new Spinner("pulse").interval, 200);
+    assert.throws(() => Spinner.register("empty", []), /at least one frame/);
+
+    // Registered names work wherever a preset name does
+    const renderer = new ConsoleProgressRenderer({
+      theme: { spinner: "pulse" },
+      useColors: false,
+    });
+    const line = renderer.formatLine(
+      ProgressBar.createSilent(0, "Waiting").getProgress()
+    );
+    assert.ok(/^Waiting: [·•●] Working\.\.\./.test(line), line);
+
+    console.log("✓ Custom spinner registration test passed");
+  }
+
+  static testSpinnerPrefixOnDeterminateBar() {
+    const renderer = new ConsoleProgressRenderer({
+      spinner: { frames: ["◐", "◓"], interval: 50 },
+      showSpinner: true,
+      useColors: false,
+      stream: createTerminal(),
+    });
+    const bar = ProgressBar.createSilent(10, "Copy");
+    bar.update(3);
+
+    assert.ok(renderer.formatLine(bar.getProgress()).startsWith("◐ Copy: ["));
+    assert.equal(renderer.getTickInterval(false), 50);
+
+    // No prefix once the bar is finished, and no ticking on a pipe
+    bar.update(7);
+    assert.ok(renderer.formatLine(bar.getProgress()).startsWith("Copy: ["));
+    const piped = new ConsoleProgressRenderer({
+      showSpinner: true,
+      stream: new Terminal(process.stdout, { interactive: false }),
+    });
+    assert.equal(piped.getTickInterval(false), null);
+
+    console.log("✓ Spinner prefix test passed");
+  }
+
+  static async testPrefixTicksBetweenUpdates() {
+    const terminal = createTerminal();
+    const { stream } = terminal;
+    const bar = new ProgressBarBuilder()
+      .withTotal(10)
+      .withDescription("Ticking")
+      .withStream(terminal)
+      .withColors(false)
+      .withSpinner({ frames: ["A", "B"], interval: 20 }, { prefix: true })
+      .build();
+
+    bar.update(1);
+    const speedSamples = bar.tracker.calculator.speedHistory.length;
+    await sleep(120);
+
+    // Both frames were drawn without further updates
+    assert.ok(stream.output.includes("A Ticking"), stream.output);
+    assert.ok(stream.output.includes("B Ticking"), stream.output);
+    assert.equal(bar.tracker.calculator.speedHistory.length, speedSamples);
+
+    bar.update(9);
+    assert.equal(bar.updateInterval, null);
+
+    console.log("✓ Spinner tick test passed");
+  }
+
+  static async testSpinnerInPipeLogsStartAndSummary() {
+    const stream = createStream({ isTTY: false });
+
+    await CLIProgressHelper.withSpinner("Waiting", () => sleep(200), {
+      stream,
+      timestamps: false,
+    });
+
+    // No line per frame, only the start and the summary
+    const lines = stream.output.trim().split("\n");
+    assert.equal(lines.length, 2, stream.output);
+    assert.match(lines[0], /^Waiting: 0 elapsed/);
+    assert.match(lines[1], /^Waiting: completed/);
+
+    console.log("✓ Spinner pipe output test passed");
+  }
+}
+
+// Run tests
+SpinnerTest.testTimeBasedFrames();
+SpinnerTest.testRegisterCustomSpinner();
+SpinnerTest.testSpinnerPrefixOnDeterminateBar();
+await SpinnerTest.testPrefixTicksBetweenUpdates();
+await SpinnerTest.testSpinnerInPipeLogsStartAndSummary();
@@ -0,0 +1,124 @@
+import {
+  ProgressBar,
+  ProgressTracker,
+  ProgressState,
+  ConsoleProgressRenderer,
+  CLIProgressHelper,
+  StateTransitionError,
+} from "./main.mjs";
+import { sleep } from "./testing.mjs";
+import assert from "assert";
+
+class ProgressStateTest {
+  static testFailAndCancelTransitions() {
+    const failed = ProgressBar.createSilent(10, "Fail Test");
+    failed.update(3);
+    const progress = failed.fail(new Error("disk full"));
+    assert.equal(progress.state, "failed");
+    assert.equal(progress.error.message, "disk full");
+    assert.equal(failed.getState(), "failed");
+    assert.equal(failed.isFinished(), true);
+
+    const cancelled = ProgressBar.createSilent(10, "Cancel Test");
+    cancelled.update(1);
+    assert.equal(cancelled.cancel("user abort").reason, "user abort");
+
+    console.log("✓ Fail/cancel transition test passed");
+  }
+
+  static testIllegalTransitionsRejected() {
+    const tracker = new ProgressTracker(5, "Illegal Test");
+    tracker.complete();
+
+    assert.throws(() => tracker.fail(new Error("late")), StateTransitionError);
+    assert.throws(() => tracker.pause(), StateTransitionError);
+    assert.throws(() => new ProgressTracker(5).resume(), StateTransitionError);
+
+    // reset() is the only way out of a final state
+    tracker.reset();
+    assert.equal(tracker.getState(), "idle");
+
+    console.log("✓ Illegal transition test passed");
+  }
+
+  static testStateObserversReceiveTransitions() {
+    const tracker = new ProgressTracker(5, "Observer Test");
+    const transitions = [];
+    tracker.addStateObserver(({ oldState, newState }) => {
+      transitions.push(`${oldState}->${newState}`);
+    });
+
+    tracker.setState("active");
+    tracker.pause();
+    tracker.resume();
+    tracker.cancel("stop");
+
+    assert.deepEqual(transitions, [
+      "idle->active",
+      "active->paused",
+      "paused->active",
+      "active->cancelled",
+    ]);
+
+    console.log("✓ State observer test passed");
+  }
+
+  static testEtaOnlyWhileActive() {
+    const renderer = new ConsoleProgressRenderer({ useColors: false });
+    const bar = ProgressBar.createSilent(10, "Upload");
+    const progress = { ...bar.update(4), eta: 90 };
+
+    assert.ok(renderer.formatLine(progress).includes("ETA: 1m 30s"));
+    // A bar that is not moving has nothing to estimate
+    for (const state of [ProgressState.PAUSED, ProgressState.STOPPED]) {
+      const line = renderer.formatLine({ ...progress, state });
+      assert.ok(!line.includes("ETA"), line);
+    }
+
+    console.log("✓ ETA visibility test passed");
+  }
+
+  static async testPauseExcludedFromElapsed() {
+    const tracker = new ProgressTracker(100, "Pause Test");
+    tracker.setState("active");
+    tracker.increment(10);
+
+    tracker.pause();
+    await sleep(300);
+    const paused = tracker.getProgress();
+    tracker.resume();
+
+    assert.ok(paused.elapsed < 0.2, `elapsed ${paused.elapsed}s while paused`);
+    assert.ok(tracker.getPausedTime() >= 300);
+
+    console.log("✓ Pause elapsed test passed");
+  }
+
+  static async testWithProgressFailsBar() {
+    const stateHistory = [];
+
+    await assert.rejects(
+      CLIProgressHelper.withProgress(5, "Failing Task", async (update) => {
+        update(1);
+        throw new Error("boom");
+      }),
+      /boom/
+    );
+
+    const bar = ProgressBar.createSilent(5, "Manual");
+    bar.onStateChange(({ newState }) => stateHistory.push(newState));
+    bar.start();
+    bar.fail(new Error("boom"));
+    assert.deepEqual(stateHistory, ["active", "failed"]);
+
+    console.log("✓ withProgress failure test passed");
+  }
+}
+
+// Run tests
+ProgressStateTest.testFailAndCancelTransitions();
+ProgressStateTest.testIllegalTransitionsRejected();
+ProgressStateTest.testStateObserversReceiveTransitions();
+ProgressStateTest.testEtaOnlyWhileActive();
+await ProgressStateTest.testPauseExcludedFromElapsed();
+await ProgressStateTest.testWithProgressFailsBar();
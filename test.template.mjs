@@ -0,0 +1,89 @@
+import {
+  ProgressBar,
+  ConsoleProgressRenderer,
+  ProgressTemplate,
+} from "./main.mjs";
+import assert from "assert";
+
+class TemplateTest {
+  static testTokenFormats() {
+    const renderer = new ConsoleProgressRenderer({
+      useColors: false,
+      barLength: 10,
+      template:
+        "{description} [{bar}] {percentage:0}% {current}/{total} eta {eta:hms}",
+    });
+
+    const line = renderer.formatLine({
+      description: "Import",
+      current: 25,
+      total: 100,
+      percentage: 25,
+      eta: 3725,
+      elapsed: 10,
+      speed: 2.5,
+      state: "active",
+    });
+
+    assert.equal(line, "Import [██░░░░░░░░] 25% 25/100 eta 01:02:05");
+
+    // Out-of-range precisions are clamped instead of throwing
+    const data = { percentage: 25, speed: 2.5 };
+    assert.equal(renderer.resolveToken("percentage", "-1", data), "25");
+    assert.equal(
+      renderer.resolveToken("percentage", "500", data),
+      (25).toFixed(100)
+    );
+    assert.equal(renderer.resolveToken("speed", "x", data), "3");
+    console.log("✓ Template token format test passed");
+  }
+
+  static testModifiersAndPayload() {
+    const template = new ProgressTemplate(
+      "{percentage:1|width:6|align:right}|{custom.file|width:8|pad:.}{missing}"
+    );
+    const values = { percentage: "7.5", "custom.file": "a.txt" };
+    const line = template.render((name) => values[name]);
+
+    assert.equal(line, "   7.5|a.txt...{missing}");
+    console.log("✓ Template modifier test passed");
+  }
+
+  static testColorModifierUsesColorizer() {
+    const template = new ProgressTemplate("{state|color:red}");
+    const line = template.render(
+      () => "failed",
+      (text, color) => `<${color}>${text}</${color}>`
+    );
+
+    assert.equal(line, "<red>failed</red>");
+    console.log("✓ Template color test passed");
+  }
+
+  static testTemplateIsWritten() {
+    const renderer = new ConsoleProgressRenderer({
+      useColors: false,
+      template: "{description}: {current}/{total}",
+    });
+    const chunks = [];
+    const originalWrite = process.stdout.write;
+    process.stdout.write = (chunk) => chunks.push(String(chunk));
+
+    try {
+      const bar = new ProgressBar(2, "Written", renderer);
+      bar.update(1);
+      bar.update(1);
+    } finally {
+      process.stdout.write = originalWrite;
+    }
+
+    assert.ok(chunks.join("").includes("Written: 2/2"));
+    console.log("✓ Template output test passed");
+  }
+}
+
+// Run tests
+TemplateTest.testTokenFormats();
+TemplateTest.testModifiersAndPayload();
+TemplateTest.testColorModifierUsesColorizer();
+TemplateTest.testTemplateIsWritten();
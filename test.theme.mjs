@@ -0,0 +1,121 @@
+import {
+  Colors,
+  Terminal,
+  ProgressBar,
+  ProgressBarBuilder,
+  ProgressThemes,
+} from "./main.mjs";
+import assert from "assert";
+
+// Runs fn with the given environment variables set (undefined removes one)
+function withEnv(vars, fn) {
+  const saved = Object.fromEntries(
+    Object.keys(vars).map((name) => [name, process.env[name]])
+  );
+  const apply = (values) =>
+    Object.entries(values).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+
+  apply(vars);
+  try {
+    return fn();
+  } finally {
+    apply(saved);
+  }
+}
+
+const tty = { isTTY: true, columns: 120, write() {} };
+const pipe = { isTTY: false, write() {} };
+
+class ThemeTest {
+  static testColorDepthDetection() {
+    const clean = {
+      FORCE_COLOR: undefined,
+      NO_COLOR: undefined,
+      COLORTERM: undefined,
+      TERM: "xterm",
+    };
+    const depth = (stream, vars = {}) =>
+      withEnv({ ...clean, ...vars }, () => new Terminal(stream).colorDepth);
+
+    assert.equal(depth(tty), 1);
+    assert.equal(depth(tty, { TERM: "xterm-256color" }), 2);
+    assert.equal(depth(tty, { COLORTERM: "truecolor" }), 3);
+    assert.equal(depth(tty, { TERM: "dumb" }), 0);
+    assert.equal(depth(tty, { NO_COLOR: "1" }), 0);
+    assert.equal(depth(pipe), 0);
+    assert.equal(depth(pipe, { FORCE_COLOR: "2" }), 2);
+    assert.equal(depth(tty, { FORCE_COLOR: "0" }), 0);
+    assert.equal(depth(tty, { FORCE_COLOR: "", NO_COLOR: "1" }), 1);
+
+    console.log("✓ Color depth detection test passed");
+  }
+
+  static testDowngrading() {
+    assert.equal(
+      Colors.colorize("x", "#ff8000", 3),
+      "\x1b[38;2;255;128;0mx\x1b[0m"
+    );
+    assert.equal(Colors.colorize("x", "#ff8000", 2), "\x1b[38;5;214mx\x1b[0m");
+    assert.equal(Colors.colorize("x", "#ff0000", 1), "\x1b[91mx\x1b[0m");
+    assert.equal(Colors.colorize("x", "#800000", 1), "\x1b[31mx\x1b[0m");
+    assert.equal(Colors.colorize("x", "#ff8000", 0), "x");
+    assert.equal(Colors.rgbToAnsi256(128, 128, 128), 244);
+
+    assert.deepEqual(
+      Colors.interpolate(["#000000", "#ffffff"], 0.5),
+      [128, 128, 128]
+    );
+    assert.deepEqual(
+      Colors.interpolate(["#ff0000", "#ffff00", "#00ff00"], 1),
+      [0, 255, 0]
+    );
+
+    console.log("✓ Color downgrading test passed");
+  }
+
+  static testThemes() {
+    const progress = ProgressBar.createSilent(10, "Themed").update(5);
+    assert.deepEqual(Object.keys(ProgressThemes.presets), [
+      "default",
+      "ascii-only",
+      "high-contrast",
+      "monochrome",
+    ]);
+
+    const ascii = new ProgressBarBuilder()
+      .withTheme("ascii-only")
+      .withBarLength(10)
+      .withStream(new Terminal(tty, { interactive: true, colorDepth: 0 }))
+      .build().renderer;
+    assert.ok(ascii.formatLine(progress).startsWith("Themed: [#####-----]"));
+
+    const mono = new ProgressBarBuilder()
+      .withTheme("monochrome")
+      .withStream(new Terminal(tty, { interactive: true, colorDepth: 3 }))
+      .build().renderer;
+    assert.ok(!mono.formatLine(progress).includes("\x1b["));
+    assert.equal(mono.formatFinal({ state: "completed" }), " ✓ Complete!");
+
+    // Gradient fills shift with the percentage, at the stream's depth
+    const gradient = new ProgressBarBuilder()
+      .withTheme({ gradient: ["#ff0000", "#00ff00"] })
+      .withStream(new Terminal(tty, { interactive: true, colorDepth: 3 }))
+      .build().renderer;
+    assert.ok(
+      gradient.formatBar(progress, 4).startsWith("\x1b[38;2;128;128;0m")
+    );
+
+    assert.equal(ProgressThemes.resolve("high-contrast").glyphs.filled, "█");
+    assert.throws(() => ProgressThemes.resolve("neon"), /Unknown theme/);
+
+    console.log("✓ Theme test passed");
+  }
+}
+
+// Run tests
+ThemeTest.testColorDepthDetection();
+ThemeTest.testDowngrading();
+ThemeTest.testThemes();
@@ -0,0 +1,146 @@
+import {
+  ProgressBar,
+  ProgressTracker,
+  ConsoleProgressRenderer,
+} from "./main.mjs";
+import assert from "assert";
+
+class ProgressTrackerTest {
+  static testAbsoluteAndNegativeUpdates() {
+    const progressBar = ProgressBar.createSilent(100, "Absolute Test");
+
+    assert.equal(progressBar.update({ current: 40 }).current, 40);
+    assert.equal(progressBar.update(-15).current, 25);
+    assert.equal(progressBar.update(-100).current, 0);
+    assert.equal(progressBar.setCurrent(250).current, 100);
+    assert.equal(progressBar.getState(), "completed");
+
+    console.log("✓ Absolute/negative update test passed");
+  }
+
+  static testRollbackRestartsSpeedEstimate() {
+    const tracker = new ProgressTracker(100, "Rollback Test");
+    // 5/s for 10s, then a retry rolls back from 50 to 10
+    tracker.startTime -= 10000;
+    assert.ok(Math.abs(tracker.setCurrent(50).speed - 5) < 0.1);
+
+    const rolledBack = tracker.setCurrent(10);
+    assert.equal(rolledBack.speed, 0);
+    assert.equal(rolledBack.eta, 0);
+
+    // One second later at 5/s again: the rate counts from the rollback only
+    tracker.startTime -= 1000;
+    const progress = tracker.setCurrent(15);
+    assert.ok(Math.abs(progress.speed - 5) < 0.1, `speed ${progress.speed}`);
+    assert.ok(Math.abs(progress.eta - 17) < 0.5, `eta ${progress.eta}`);
+
+    console.log("✓ Rollback speed test passed");
+  }
+
+  static testSetTotalReevaluatesCompletion() {
+    const progressBar = ProgressBar.createSilent(100, "Total Test");
+    progressBar.update(80);
+
+    progressBar.setTotal(50);
+    assert.equal(progressBar.getProgress().current, 50);
+    assert.equal(progressBar.getState(), "completed");
+
+    progressBar.setTotal(200);
+    const reopened = progressBar.getProgress();
+    assert.equal(progressBar.getState(), "active");
+    assert.equal(reopened.isComplete, false);
+    assert.equal(reopened.percentage, 25);
+
+    progressBar.update(150);
+    assert.equal(progressBar.getState(), "completed");
+
+    console.log("✓ setTotal completion test passed");
+  }
+
+  static testWeightedChildren() {
+    const pipeline = new ProgressTracker(100, "Pipeline");
+    const download = pipeline.createChild(60, 1000, "download");
+    const extract = pipeline.createChild(30, 10, "extract");
+    const verify = pipeline.createChild(10, 4, "verify");
+
+    download.setCurrent(500);
+    assert.equal(pipeline.getProgress().current, 30);
+
+    download.complete();
+    extract.increment(5);
+    const progress = pipeline.getProgress();
+    assert.equal(progress.current, 75);
+    assert.equal(progress.activeChild.description, "extract");
+
+    // Nested children roll up through the intermediate tracker
+    const checksum = verify.createChild(1, 2, "checksum");
+    verify.createChild(1, 2, "signature").complete();
+    checksum.increment(1);
+    assert.equal(verify.getProgress().current, 3);
+
+    extract.complete();
+    checksum.complete();
+    assert.equal(verify.getState(), "completed");
+    assert.equal(pipeline.getState(), "completed");
+    assert.equal(pipeline.getProgress().current, 100);
+
+    console.log("✓ Weighted children test passed");
+  }
+
+  static testChildFailurePropagates() {
+    const bar = ProgressBar.createSilent(100, "Parent");
+    const child = bar.createChild(1, 10, "child");
+    bar.createChild(1, 10, "sibling");
+
+    child.increment(2);
+    assert.equal(bar.renderer.getLastProgress().current, 10);
+
+    child.fail(new Error("checksum mismatch"));
+    assert.equal(bar.getState(), "failed");
+    assert.equal(bar.getProgress().error.message, "checksum mismatch");
+    assert.equal(bar.renderer.getLastProgress().state, "failed");
+
+    console.log("✓ Child failure propagation test passed");
+  }
+
+  static testChildCancelPropagates() {
+    const bar = ProgressBar.createSilent(100, "Parent");
+    const child = bar.createChild(1, 10, "child");
+    const sibling = bar.createChild(1, 10, "sibling");
+
+    sibling.increment(10);
+    child.increment(4);
+    child.cancel("user abort");
+    assert.equal(bar.getState(), "cancelled");
+    assert.equal(bar.getProgress().reason, "user abort");
+    assert.equal(bar.renderer.getLastProgress().state, "cancelled");
+
+    console.log("✓ Child cancel propagation test passed");
+  }
+
+  static testRendererShowsActiveChild() {
+    const renderer = new ConsoleProgressRenderer({
+      showChildren: true,
+      useColors: false,
+      barLength: 10,
+    });
+    const parent = new ProgressTracker(100, "Build");
+    parent.createChild(1, 4, "compile").increment(2);
+
+    const lines = renderer.formatLine(parent.getProgress()).split("\n");
+    assert.equal(lines.length, 2);
+    assert.ok(lines[0].startsWith("Build: ["));
+    assert.ok(lines[1].startsWith("  └ compile: ["), lines[1]);
+
+    console.log("✓ Active child rendering test passed");
+  }
+}
+
+// Run tests
+ProgressTrackerTest.testAbsoluteAndNegativeUpdates();
+ProgressTrackerTest.testRollbackRestartsSpeedEstimate();
+ProgressTrackerTest.testSetTotalReevaluatesCompletion();
+ProgressTrackerTest.testWeightedChildren();
+ProgressTrackerTest.testChildFailurePropagates();
+ProgressTrackerTest.testChildCancelPropagates();
+ProgressTrackerTest.testRendererShowsActiveChild();
@@ -0,0 +1,80 @@
+import {
+  ConsoleProgressRenderer,
+  ProgressBarBuilder,
+  UnitFormatter,
+} from "./main.mjs";
+import assert from "assert";
+
+class UnitFormatterTest {
+  static testByteUnits() {
+    const iec = new UnitFormatter("bytes");
+    const si = new UnitFormatter("bytes", { standard: "si" });
+
+    assert.equal(iec.format(512), "512 B");
+    assert.equal(iec.formatRange(1572864, 10485760), "1.5 MiB/10.0 MiB");
+    assert.equal(iec.formatSpeed(2.5 * 1024 * 1024), "2.5 MiB/s");
+    assert.equal(si.format(1500000), "1.5 MB");
+    assert.equal(si.formatSpeed(2500000), "2.5 MB/s");
+
+    console.log("✓ Byte unit test passed");
+  }
+
+  static testCustomUnits() {
+    const rows = new UnitFormatter("rows", { scale: "si" });
+
+    assert.equal(rows.format(1), "1 row");
+    assert.equal(rows.format(12345), "12.3k rows");
+    assert.equal(rows.formatSpeed(350.4), "350 rows/s");
+    assert.equal(rows.formatSpeed(0.5), "2.0s/row");
+
+    const requests = new UnitFormatter("req", { singular: "request" });
+    assert.equal(requests.format(1), "1 request");
+    assert.equal(requests.format(2000), "2000 req");
+
+    console.log("✓ Custom unit test passed");
+  }
+
+  static testItemsKeepRawCounters() {
+    const items = new UnitFormatter();
+
+    assert.equal(items.formatRange(3, 10), "3/10");
+    assert.equal(items.formatSpeed(0.5), "2.0s/item");
+    assert.equal(items.formatSpeed(12.34), "12.3/s");
+
+    console.log("✓ Item unit test passed");
+  }
+
+  static testUnitsInLayoutAndTemplates() {
+    const progressData = {
+      description: "Download",
+      current: 1048576,
+      total: 4194304,
+      percentage: 25,
+      speed: 524288,
+      eta: 6,
+      elapsed: 2,
+      state: "active",
+    };
+
+    const bar = new ProgressBarBuilder().withUnits("bytes").withColors(false);
+    const renderer = new ConsoleProgressRenderer(bar.config);
+    assert.ok(renderer.formatLine(progressData).includes("(1.0 MiB/4.0 MiB)"));
+
+    const templated = new ConsoleProgressRenderer({
+      ...bar.config,
+      template: "{current}/{total} @ {speed} ({current:raw})",
+    });
+    assert.equal(
+      templated.formatLine(progressData),
+      "1.0 MiB/4.0 MiB @ 512.0 KiB/s (1048576)"
+    );
+
+    console.log("✓ Units in layout test passed");
+  }
+}
+
+// Run tests
+UnitFormatterTest.testByteUnits();
+UnitFormatterTest.testCustomUnits();
+UnitFormatterTest.testItemsKeepRawCounters();
+UnitFormatterTest.testUnitsInLayoutAndTemplates();
@@ -0,0 +1,28 @@
+// Helpers shared by the test.*.mjs files. Named so the test glob does not
+// pick it up as a test file of its own.
+import { Terminal } from "./main.mjs";
+import { EventEmitter } from "events";
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Stands in for process.stdout/stderr, recording everything written: the
+// text in `output` and each write in `chunks`
+export function createStream({ isTTY = true, columns = 80 } = {}) {
+  const stream = new EventEmitter();
+  stream.isTTY = isTTY;
+  stream.columns = columns;
+  stream.output = "";
+  stream.chunks = [];
+  stream.write = (chunk) => {
+    stream.output += chunk;
+    stream.chunks.push(chunk);
+    return true;
+  };
+  return stream;
+}
+
+// A Terminal over a fake stream. Setting `interactive` keeps the result the
+// same whether or not the tests run under CI.
+export function createTerminal({ interactive = true, ...streamOptions } = {}) {
+  return new Terminal(createStream(streamOptions), { interactive });
+}